@@ -1,18 +1,354 @@
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Forward messages from popup to the active tab (content script)
-  if (request.from === 'popup') {
+importScripts('settings.js'); // buildPlanRequest, pickSavedSettings and the status helpers, shared with the popup and content.js
+
+// Operations in progress, keyed by playlist ID, as `{ tabId, state }`. They are kept in
+// storage rather than in memory because the service worker can be stopped between messages.
+const OPERATIONS_KEY = 'reorder_operations';
+const ACTIVE_STATES = ['gathering', 'preview', 'reordering', 'interrupted'];
+
+let operationsQueue = Promise.resolve();
+
+function getOperations(callback) {
+  chrome.storage.local.get(OPERATIONS_KEY, (data) => {
+    callback((data && data[OPERATIONS_KEY]) || {});
+  });
+}
+
+// Applies changes one at a time so that tabs reporting at once do not overwrite each other.
+function updateOperations(change) {
+  operationsQueue = operationsQueue.then(() => new Promise(resolve => {
+    getOperations((operations) => {
+      change(operations);
+      chrome.storage.local.set({ [OPERATIONS_KEY]: operations }, resolve);
+    });
+  }));
+  return operationsQueue;
+}
+
+// Records a tab's status for its playlist and resolves with the entry it replaced. Running
+// reorders also keep their progress and start time for the notification at the end. A tab
+// shows one playlist at a time, so it lets go of any other playlist it owned.
+function trackOperation(playlistId, tabId, status) {
+  let previous = null;
+  return updateOperations((operations) => {
+    previous = operations[playlistId] || null;
+    Object.keys(operations).forEach((other) => {
+      if (other !== playlistId && tabId !== null && operations[other].tabId === tabId) {
+        delete operations[other];
+      }
+    });
+    const { state } = status;
+    if (state === 'reordering') {
+      const startedAt = previous && previous.tabId === tabId && previous.state === 'reordering' ? previous.startedAt : Date.now();
+      operations[playlistId] = { tabId, state, processed: status.processed || 0, total: status.total || 0, startedAt };
+    } else if (ACTIVE_STATES.includes(state)) {
+      operations[playlistId] = { tabId, state };
+    } else if (previous && previous.tabId === tabId) {
+      delete operations[playlistId];
+    }
+  }).then(() => previous);
+}
+
+function getStatus(playlistId, callback) {
+  const key = `reorder_status:${playlistId}`;
+  chrome.storage.local.get(key, (data) => {
+    callback((data && data[key]) || null);
+  });
+}
+
+const BADGE_COLORS = { progress: '#4a90e2', complete: '#2e7d32', error: '#d9534f' };
+
+// Shows the progress of the tab's operation on the toolbar button, or an error mark.
+function updateBadge(tabId, status) {
+  let text = '';
+  let color = BADGE_COLORS.progress;
+  if (status.state === 'gathering') {
+    text = '...';
+  } else if (status.state === 'reordering') {
+    text = `${status.total > 0 ? Math.round((status.processed / status.total) * 100) : 0}%`;
+  } else if (status.state === 'complete') {
+    text = hasFailedMoves(status) ? '!' : '✓';
+    color = hasFailedMoves(status) ? BADGE_COLORS.error : BADGE_COLORS.complete;
+  } else if (status.state === 'error') {
+    text = '!';
+    color = BADGE_COLORS.error;
+  }
+  chrome.action.setBadgeBackgroundColor({ tabId, color });
+  chrome.action.setBadgeText({ tabId, text });
+}
+
+// Notification IDs name the tab, so that clicking a notification can bring its tab up.
+const NOTIFICATION_PREFIX = 'playlist-reorder:';
+
+/**
+ * Tells the user that a reorder has ended: completed, failed or cancelled. `run` is the
+ * operation entry the tab had while it was reordering.
+ */
+function notifyRunEnded(playlistId, tabId, status, run) {
+  const elapsed = formatTotalTime(Math.round((Date.now() - run.startedAt) / 1000));
+  const progress = `${run.processed} of ${run.total} moves`;
+  let title;
+  let message;
+  if (status.state === 'complete') {
+    const { summary } = status;
+    title = hasFailedMoves(status) ? 'Reorder finished with failed moves' : 'Playlist reordered';
+    message = summary
+      ? `Moved ${summary.moved}, skipped ${summary.skipped.length}, failed ${summary.failed.length}, retried ${summary.retried} in ${formatTotalTime(Math.round(summary.elapsed / 1000))}.`
+      : `Done in ${elapsed}.`;
+    if (status.message) message += ` ${status.message}`;
+  } else if (status.state === 'error') {
+    title = 'Reorder failed';
+    message = `${status.message} Stopped after ${progress}, ${elapsed}.`;
+  } else {
+    title = 'Reorder cancelled';
+    message = `Cancelled after ${progress}, ${elapsed}.`;
+  }
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${tabId}:${playlistId}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message,
+  });
+}
+
+// Tracks the operation, updates the badge and, once a running reorder ends, notifies.
+function reportStatus(playlistId, tabId, status) {
+  return trackOperation(playlistId, tabId, status).then((previous) => {
+    if (tabId === null) return;
+    updateBadge(tabId, status);
+    const wasRunning = previous && previous.tabId === tabId && previous.state === 'reordering';
+    if (wasRunning && ['complete', 'error', 'idle'].includes(status.state)) {
+      notifyRunEnded(playlistId, tabId, status, previous);
+    }
+  });
+}
+
+// Picks the tab a popup message is for: the tab that owns the playlist's operation, else the
+// tab the popup was opened on, else the active tab.
+function resolveTargetTab(request, callback) {
+  const fallback = () => {
+    if (request.tabId !== undefined && request.tabId !== null) {
+      callback(request.tabId);
+      return;
+    }
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs.length > 0) {
-        chrome.tabs.sendMessage(tabs[0].id, request, (response) => {
-          if (chrome.runtime.lastError) {
-            // Handle error, e.g., content script not injected
-            sendResponse({ status: 'error', message: 'Could not connect to page.' });
-          } else {
-            sendResponse(response);
+      callback(tabs.length > 0 ? tabs[0].id : null);
+    });
+  };
+  if (!request.playlistId) {
+    fallback();
+    return;
+  }
+  getOperations((operations) => {
+    const operation = operations[request.playlistId];
+    if (operation) {
+      callback(operation.tabId);
+    } else {
+      fallback();
+    }
+  });
+}
+
+// Reads the settings the popup saved last, or the playlist's default preset when it has one.
+function getSavedSettings(playlistId, callback) {
+  chrome.storage.local.get(['reorder_settings', 'reorder_presets'], (data) => {
+    callback(pickSavedSettings(data, playlistId));
+  });
+}
+
+// Keyboard shortcuts and the content script message each of them sends.
+const COMMANDS = {
+  'generate-plan': settings => buildPlanRequest(settings),
+  'confirm-plan': settings => ({ action: 'executeReorder', moveBackend: settings.moveBackend || 'menu' }),
+  'cancel-operation': () => ({ action: 'cancelReorder' }),
+};
+
+// There is no popup to show why a shortcut or menu entry did nothing, so the reason is shown in a notification.
+function notifyCommandFailed(tabId, message) {
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${tabId}:command`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Playlist Reorder',
+    message,
+  });
+}
+
+/**
+ * Sends the message a shortcut or menu entry used on a tab stands for. Like popup messages, it
+ * goes to the tab that owns the operation of that tab's playlist, if another tab does.
+ * `buildMessage(playlistId, callback)` passes the message on, or null to send nothing.
+ */
+function sendFromTab(tabId, buildMessage) {
+  chrome.tabs.sendMessage(tabId, { action: 'getPlaylistId' }, (response) => {
+    // Not a YouTube page, or one opened before the extension was loaded.
+    if (chrome.runtime.lastError || !response) return;
+    const { playlistId } = response;
+    resolveTargetTab({ playlistId, tabId }, (targetTabId) => {
+      buildMessage(playlistId, (message) => {
+        if (!message) return;
+        chrome.tabs.sendMessage(targetTabId, message, (result) => {
+          if (chrome.runtime.lastError) return;
+          if (result && result.status === 'error') {
+            notifyCommandFailed(targetTabId, result.message);
           }
         });
+      });
+    });
+  });
+}
+
+function runCommand(command, tabId) {
+  sendFromTab(tabId, (playlistId, callback) => {
+    getSavedSettings(playlistId, settings => callback(COMMANDS[command](settings)));
+  });
+}
+
+const PLAYLIST_PAGES = ['https://www.youtube.com/playlist*'];
+const VIDEO_LINKS = ['https://www.youtube.com/watch*'];
+const PRESET_MENU_PREFIX = 'sort-preset:';
+
+// Creates the playlist page menus afresh, with an entry for each saved preset.
+function createContextMenus(presets = {}) {
+  const create = properties => chrome.contextMenus.create({ contexts: ['page', 'link'], documentUrlPatterns: PLAYLIST_PAGES, ...properties });
+  chrome.contextMenus.removeAll(() => {
+    create({ id: 'sort-duration-asc', title: 'Sort this playlist by duration ↑' });
+    create({ id: 'sort-duration-desc', title: 'Sort this playlist by duration ↓' });
+    create({ id: 'sort-preset', title: 'Sort with preset…' });
+    const names = Object.keys(presets).sort((a, b) => a.localeCompare(b));
+    names.forEach(name => create({ id: `${PRESET_MENU_PREFIX}${name}`, parentId: 'sort-preset', title: name }));
+    if (names.length === 0) {
+      create({ id: 'sort-preset-none', parentId: 'sort-preset', title: 'No saved presets', enabled: false });
+    }
+    // Video rows link to the video, so these show up on its title and thumbnail.
+    create({ id: 'move-top', title: 'Move this video to top', contexts: ['link'], targetUrlPatterns: VIDEO_LINKS });
+    create({ id: 'move-bottom', title: 'Move this video to bottom', contexts: ['link'], targetUrlPatterns: VIDEO_LINKS });
+  });
+}
+
+function getVideoIdFromLink(linkUrl) {
+  try {
+    return new URL(linkUrl).searchParams.get('v');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Runs a menu entry chosen on a playlist page. The duration entries sort with default settings,
+ * so that no saved filter, interleaving or session packing changes the order they name; presets
+ * sort with their own settings, and moves plan a single move. Either way the plan waits for
+ * confirmation in the page or the popup.
+ */
+function runContextMenu(info, tabId) {
+  const { menuItemId } = info;
+  sendFromTab(tabId, (playlistId, callback) => {
+    if (menuItemId === 'sort-duration-asc' || menuItemId === 'sort-duration-desc') {
+      const order = menuItemId === 'sort-duration-asc' ? 'asc' : 'desc';
+      callback(buildPlanRequest({ sortKeys: [{ key: 'duration', order }] }));
+    } else if (menuItemId.startsWith(PRESET_MENU_PREFIX)) {
+      chrome.storage.local.get('reorder_presets', (data) => {
+        const { presets = {} } = (data && data.reorder_presets) || {};
+        const preset = presets[menuItemId.slice(PRESET_MENU_PREFIX.length)];
+        callback(preset ? buildPlanRequest(preset) : null);
+      });
+    } else if (menuItemId === 'move-top' || menuItemId === 'move-bottom') {
+      const videoId = getVideoIdFromLink(info.linkUrl);
+      callback(videoId ? { action: 'planVideoMove', videoId, direction: menuItemId === 'move-top' ? 'top' : 'bottom' } : null);
+    } else {
+      callback(null);
+    }
+  });
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Content scripts report status changes so that operations can be routed to their tab
+  if (request.from === 'content') {
+    const tabId = sender.tab ? sender.tab.id : null;
+    if (request.action === 'statusChanged') {
+      // The content script stores the status before reporting it, so it can be read here.
+      getStatus(request.playlistId, (stored) => {
+        const status = stored && stored.state === request.state ? stored : { state: request.state };
+        reportStatus(request.playlistId, tabId, status).then(() => sendResponse({ status: 'tracked' }));
+      });
+      return true;
+    }
+    if (request.action === 'getOperationOwner') {
+      getOperations((operations) => {
+        const operation = operations[request.playlistId];
+        sendResponse({ otherTab: Boolean(operation && operation.tabId !== tabId) });
+      });
+      return true;
+    }
+    return;
+  }
+
+  // Forward messages from popup to the tab that owns the operation (content script)
+  if (request.from === 'popup') {
+    resolveTargetTab(request, (tabId) => {
+      if (tabId === null) {
+        sendResponse({ status: 'error', message: 'There is no tab to send this to.' });
+        return;
       }
+      chrome.tabs.sendMessage(tabId, request, (response) => {
+        if (chrome.runtime.lastError) {
+          // Handle error, e.g., content script not injected
+          sendResponse({ status: 'error', message: 'Could not connect to page.' });
+        } else if (request.action === 'getPlaylistId') {
+          // The popup keeps the tab it was opened on, so later messages reach the same page.
+          sendResponse({ ...response, tabId });
+        } else {
+          sendResponse(response);
+        }
+      });
     });
     return true; // Indicates that the response is sent asynchronously
   }
-});
\ No newline at end of file
+});
+
+// A closed tab can no longer finish its operations.
+chrome.tabs.onRemoved.addListener((tabId) => {
+  updateOperations((operations) => {
+    Object.keys(operations).forEach(playlistId => {
+      if (operations[playlistId].tabId === tabId) {
+        delete operations[playlistId];
+      }
+    });
+  });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!COMMANDS[command]) return;
+  if (tab) {
+    runCommand(command, tab.id);
+    return;
+  }
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs.length > 0) runCommand(command, tabs[0].id);
+  });
+});
+
+// Menus outlive the service worker, so they are created on install and when presets change.
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.storage.local.get('reorder_presets', (data) => {
+    createContextMenus(((data && data.reorder_presets) || {}).presets);
+  });
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.reorder_presets) {
+    createContextMenus((changes.reorder_presets.newValue || {}).presets);
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (tab) runContextMenu(info, tab.id);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  const tabId = parseInt(notificationId.slice(NOTIFICATION_PREFIX.length), 10);
+  chrome.notifications.clear(notificationId);
+  chrome.tabs.update(tabId, { active: true }, (tab) => {
+    if (chrome.runtime.lastError || !tab) return;
+    chrome.windows.update(tab.windowId, { focused: true });
+  });
+});
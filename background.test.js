@@ -71,7 +71,7 @@ describe('background.js message listener', () => {
     delete chrome.runtime.lastError;
   });
 
-  test('should do nothing if no active tab is found', async () => {
+  test('should answer with an error if no active tab is found', async () => {
     // Arrange
     const request = { from: 'popup', action: 'test' };
     const sender = {};
@@ -89,7 +89,7 @@ describe('background.js message listener', () => {
 
     // Assert
     expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
-    expect(sendResponse).not.toHaveBeenCalled();
+    expect(sendResponse).toHaveBeenCalledWith({ status: 'error', message: 'There is no tab to send this to.' });
   });
 
   test('should ignore messages not from the popup', async () => {
@@ -107,4 +107,260 @@ describe('background.js message listener', () => {
     expect(chrome.tabs.query).not.toHaveBeenCalled();
     expect(sendResponse).not.toHaveBeenCalled();
   });
-});
\ No newline at end of file
+
+  describe('operations per tab and playlist', () => {
+    let store;
+
+    beforeEach(() => {
+      store = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback(Object.fromEntries([].concat(keys).map(key => [key, store[key]])));
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(store, items);
+        if (callback) callback();
+      });
+      chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+        callback({ playlistId: 'PL1' });
+      });
+      // Listeners added by earlier loads of background.js would answer too.
+      chrome.runtime.onMessage.clearListeners();
+      chrome.tabs.onRemoved.clearListeners();
+      chrome.notifications.onClicked.clearListeners();
+      chrome.commands.onCommand.clearListeners();
+      chrome.contextMenus.onClicked.clearListeners();
+      chrome.runtime.onInstalled.clearListeners();
+      chrome.storage.onChanged.clearListeners();
+      require('./background');
+    });
+
+    // Sends a message to the listener and resolves with the response it gets.
+    const send = (request, sender = {}) => new Promise(resolve => {
+      chrome.runtime.onMessage.callListeners(request, sender, resolve);
+    });
+
+    test('should record the tab that owns an operation and forget it when the operation ends', async () => {
+      await send({ from: 'content', action: 'statusChanged', playlistId: 'PL1', state: 'preview' }, { tab: { id: 5 } });
+      expect(store.reorder_operations).toEqual({ PL1: { tabId: 5, state: 'preview' } });
+
+      // Another tab on the same playlist going idle does not end the operation of tab 5.
+      await send({ from: 'content', action: 'statusChanged', playlistId: 'PL1', state: 'idle' }, { tab: { id: 6 } });
+      expect(store.reorder_operations).toEqual({ PL1: { tabId: 5, state: 'preview' } });
+      expect(await send({ from: 'content', action: 'getOperationOwner', playlistId: 'PL1' }, { tab: { id: 6 } })).toEqual({ otherTab: true });
+      expect(await send({ from: 'content', action: 'getOperationOwner', playlistId: 'PL1' }, { tab: { id: 5 } })).toEqual({ otherTab: false });
+
+      await send({ from: 'content', action: 'statusChanged', playlistId: 'PL1', state: 'complete' }, { tab: { id: 5 } });
+      expect(store.reorder_operations).toEqual({});
+    });
+
+    test('should let go of the playlist a tab owned once it reports for another one', async () => {
+      await send({ from: 'content', action: 'statusChanged', playlistId: 'PL1', state: 'preview' }, { tab: { id: 5 } });
+      await send({ from: 'content', action: 'statusChanged', playlistId: 'PL2', state: 'interrupted' }, { tab: { id: 6 } });
+
+      await send({ from: 'content', action: 'statusChanged', playlistId: 'PL3', state: 'idle' }, { tab: { id: 5 } });
+
+      expect(store.reorder_operations).toEqual({ PL2: { tabId: 6, state: 'interrupted' } });
+    });
+
+    test('should route popup messages to the tab that owns the playlist operation', async () => {
+      store.reorder_operations = { PL1: { tabId: 5, state: 'reordering' } };
+
+      await send({ from: 'popup', action: 'cancelReorder', tabId: 9, playlistId: 'PL1' });
+      await send({ from: 'popup', action: 'cancelReorder', tabId: 9, playlistId: 'PL2' });
+
+      expect(chrome.tabs.sendMessage.mock.calls.map(call => call[0])).toEqual([5, 9]);
+      expect(chrome.tabs.query).not.toHaveBeenCalled();
+    });
+
+    test('should tell the popup which tab answered its playlist lookup', async () => {
+      chrome.tabs.query.mockImplementation((query, callback) => callback([{ id: 12 }]));
+
+      const response = await send({ from: 'popup', action: 'getPlaylistId' });
+
+      expect(response).toEqual({ playlistId: 'PL1', tabId: 12 });
+    });
+
+    // Stores a status the way the content script does, then reports it from tab 5.
+    const report = (status) => {
+      store['reorder_status:PL1'] = status;
+      return send({ from: 'content', action: 'statusChanged', playlistId: 'PL1', state: status.state }, { tab: { id: 5 } });
+    };
+
+    test('should show progress in the badge and notify with the summary when a run completes', async () => {
+      await report({ state: 'reordering', processed: 1, total: 4 });
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 5, text: '25%' });
+      expect(store.reorder_operations.PL1).toMatchObject({ tabId: 5, state: 'reordering', processed: 1, total: 4 });
+
+      await report({ state: 'complete', processed: 4, total: 4, message: '', summary: { moved: 3, skipped: [], failed: [], retried: 1, elapsed: 65000 } });
+
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 5, text: '✓' });
+      expect(chrome.notifications.create).toHaveBeenCalledWith('playlist-reorder:5:PL1', {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Playlist reordered',
+        message: 'Moved 3, skipped 0, failed 0, retried 1 in 1:05.',
+      });
+    });
+
+    test('should notify when a running reorder fails or is cancelled, but not when a preview is left', async () => {
+      await report({ state: 'reordering', processed: 1, total: 4 });
+      await report({ state: 'error', message: 'Execution failed: Mismatch at position 2.' });
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 5, text: '!' });
+      expect(chrome.notifications.create).toHaveBeenLastCalledWith('playlist-reorder:5:PL1', expect.objectContaining({
+        title: 'Reorder failed',
+        message: 'Execution failed: Mismatch at position 2. Stopped after 1 of 4 moves, 0:00.',
+      }));
+
+      await report({ state: 'reordering', processed: 2, total: 4 });
+      await report({ state: 'idle' });
+      expect(chrome.notifications.create).toHaveBeenLastCalledWith('playlist-reorder:5:PL1', expect.objectContaining({
+        title: 'Reorder cancelled',
+        message: 'Cancelled after 2 of 4 moves, 0:00.',
+      }));
+
+      await report({ state: 'preview' });
+      await report({ state: 'idle' });
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(2);
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 5, text: '' });
+    });
+
+    test('should bring up the playlist tab when its notification is clicked', () => {
+      chrome.tabs.update.mockImplementation((tabId, properties, callback) => callback({ id: tabId, windowId: 3 }));
+
+      chrome.notifications.onClicked.callListeners('playlist-reorder:5:PL1');
+
+      expect(chrome.notifications.clear).toHaveBeenCalledWith('playlist-reorder:5:PL1');
+      expect(chrome.tabs.update).toHaveBeenCalledWith(5, { active: true }, expect.any(Function));
+      expect(chrome.windows.update).toHaveBeenCalledWith(3, { focused: true });
+    });
+
+    // jest-chrome cannot check the arguments of some events against its schema, so their
+    // listeners are called directly.
+    const callDirectly = (event, ...args) => event.getListeners().forEach(listener => listener(...args));
+
+    // Presses a keyboard shortcut on tab 5 and resolves once its message has gone out.
+    const press = async (command) => {
+      callDirectly(chrome.commands.onCommand, command, { id: 5 });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return chrome.tabs.sendMessage.mock.calls[chrome.tabs.sendMessage.mock.calls.length - 1];
+    };
+
+    test('should plan with the saved settings, in seconds, when the shortcut is pressed', async () => {
+      store.reorder_settings = {
+        sortKeys: [{ key: 'duration', order: 'desc' }, { key: 'title', order: 'asc' }],
+        maxLength: '10',
+        sessionLength: '',
+        excludedPlacement: 'above',
+        filters: { minLength: '2', includeChannels: ['News'] },
+        kindPolicies: { short: 'skip' },
+        shuffleSeed: '7',
+        shuffleBands: true,
+        interleaveChannels: true,
+        moveBackend: 'request',
+      };
+
+      const [tabId, message] = await press('generate-plan');
+
+      expect(tabId).toBe(5);
+      expect(message).toEqual({
+        action: 'generatePlan',
+        sortKeys: [{ key: 'duration', order: 'desc' }, { key: 'title', order: 'asc' }],
+        maxLength: 600,
+        excludedPlacement: 'above',
+        filters: { minLength: 120, includeChannels: ['News'] },
+        kindPolicies: { short: 'skip' },
+        interleaveChannels: true,
+        sessionLength: 0,
+      });
+    });
+
+    test('should plan with the default preset of the playlist when it has one', async () => {
+      store.reorder_settings = { sortKeys: [{ key: 'duration', order: 'asc' }] };
+      store.reorder_presets = {
+        presets: { Mix: { sortKeys: [{ key: 'channel', order: 'shuffle' }], shuffleSeed: '42', shuffleBands: false } },
+        playlistDefaults: { PL1: 'Mix' },
+      };
+
+      const [, message] = await press('generate-plan');
+
+      expect(message).toMatchObject({ sortKeys: [{ key: 'channel', order: 'shuffle' }], shuffleSeed: 42, shuffleBands: false });
+    });
+
+    test('should send confirm and cancel shortcuts to the tab that owns the playlist operation', async () => {
+      store.reorder_settings = { moveBackend: 'request' };
+      store.reorder_operations = { PL1: { tabId: 8, state: 'preview' } };
+
+      expect(await press('confirm-plan')).toEqual([8, { action: 'executeReorder', moveBackend: 'request' }, expect.any(Function)]);
+      expect(await press('cancel-operation')).toEqual([8, { action: 'cancelReorder' }, expect.any(Function)]);
+    });
+
+    test('should show why a shortcut did nothing in a notification', async () => {
+      chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+        callback(message.action === 'getPlaylistId' ? { playlistId: 'PL1' } : { status: 'error', message: 'There is no plan to confirm.' });
+      });
+
+      await press('confirm-plan');
+
+      expect(chrome.notifications.create).toHaveBeenCalledWith('playlist-reorder:5:command', expect.objectContaining({
+        message: 'There is no plan to confirm.',
+      }));
+    });
+
+    test('should create the playlist menus with an entry for each preset and update them when presets change', () => {
+      chrome.contextMenus.removeAll.mockImplementation(callback => callback());
+      store.reorder_presets = { presets: { Short: {}, Evening: {} }, playlistDefaults: {} };
+
+      chrome.runtime.onInstalled.callListeners({ reason: 'install' });
+
+      const created = () => chrome.contextMenus.create.mock.calls.map(call => call[0]);
+      expect(created().map(item => item.id)).toEqual([
+        'sort-duration-asc', 'sort-duration-desc', 'sort-preset', 'sort-preset:Evening', 'sort-preset:Short', 'move-top', 'move-bottom',
+      ]);
+      expect(created()[0]).toMatchObject({ title: 'Sort this playlist by duration ↑', documentUrlPatterns: ['https://www.youtube.com/playlist*'] });
+      expect(created()[5]).toMatchObject({ contexts: ['link'], targetUrlPatterns: ['https://www.youtube.com/watch*'] });
+
+      chrome.contextMenus.create.mockClear();
+      chrome.storage.onChanged.callListeners({ reorder_presets: { newValue: { presets: {}, playlistDefaults: {} } } }, 'local');
+
+      expect(created().find(item => item.parentId === 'sort-preset')).toMatchObject({ title: 'No saved presets', enabled: false });
+    });
+
+    // Chooses a menu entry on tab 5 and resolves with the message it sent.
+    const choose = async (info) => {
+      callDirectly(chrome.contextMenus.onClicked, info, { id: 5 });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return chrome.tabs.sendMessage.mock.calls[chrome.tabs.sendMessage.mock.calls.length - 1][1];
+    };
+
+    test('should sort by duration alone from the menu, whatever the saved settings, or with the chosen preset', async () => {
+      store.reorder_settings = { sortKeys: [{ key: 'title', order: 'asc' }], maxLength: '5', interleaveChannels: true, sessionLength: '45', filters: { minLength: '2' } };
+      store.reorder_presets = { presets: { Evening: { sortKeys: [{ key: 'views', order: 'desc' }] } }, playlistDefaults: {} };
+
+      expect(await choose({ menuItemId: 'sort-duration-desc' })).toEqual({
+        action: 'generatePlan',
+        sortKeys: [{ key: 'duration', order: 'desc' }],
+        maxLength: 0,
+        excludedPlacement: 'below',
+        filters: { minLength: 0 },
+        kindPolicies: {},
+        interleaveChannels: false,
+        sessionLength: 0,
+      });
+      expect(await choose({ menuItemId: 'sort-preset:Evening' })).toMatchObject({ action: 'generatePlan', sortKeys: [{ key: 'views', order: 'desc' }] });
+    });
+
+    test('should plan a move of the video the menu was opened on', async () => {
+      expect(await choose({ menuItemId: 'move-bottom', linkUrl: 'https://www.youtube.com/watch?v=abc123&list=PL1&index=4' }))
+        .toEqual({ action: 'planVideoMove', videoId: 'abc123', direction: 'bottom' });
+    });
+
+    test('should drop the operations of a closed tab', async () => {
+      store.reorder_operations = { PL1: { tabId: 5, state: 'preview' }, PL2: { tabId: 8, state: 'reordering' } };
+
+      chrome.tabs.onRemoved.callListeners(5, {});
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(store.reorder_operations).toEqual({ PL2: { tabId: 8, state: 'reordering' } });
+    });
+  });
+});
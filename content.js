@@ -1,93 +1,699 @@
 let isReordering = false; // Tracks if an operation (gathering or reordering) is active.
 let isCancelled = false;
+let isPaused = false; // Set while a reorder waits between moves.
+let isPlanShown = false; // Set while a plan waits in the preview to be confirmed.
+let reportedPlaylistId = null; // The playlist this tab last reported a status for.
+// Set once moves were made with edit requests, which the page only shows after a reload.
+let pageOutOfDate = false;
+// YouTube navigates without reloading, and every navigation renders the playlist afresh.
+// A playlist reached that way gets the same status check as one loaded directly, unless
+// this tab is busy with an operation. The playlist left behind is no longer this tab's,
+// unless videos are still being moved in it.
+document.addEventListener('yt-navigate-finish', () => {
+  pageOutOfDate = false;
+  if (reportedPlaylistId && reportedPlaylistId !== getPlaylistId() && (!isReordering || isPlanShown)) {
+    // A plan shown for the playlist left behind cannot be confirmed from here.
+    isReordering = false;
+    isPlanShown = false;
+    notifyStatusChange('idle', reportedPlaylistId);
+    reportedPlaylistId = null;
+  }
+  if (!isReordering) initializeStatus();
+});
 
-// Initialize state to idle when the script loads.
-// This prevents the extension from being stuck in a previous state on page reload.
-chrome.storage.local.set({ 'reorder_status': { state: 'idle' } });
+// Initialize state when the script loads. This prevents the extension from being stuck
+// in a previous state on page reload, but keeps a run that was cut short resumable.
+initializeStatus();
 
-async function updateStatus(state, processed = 0, total = 0, message = '', plan = []) {
-  const status = { state, processed, total, message, plan, timestamp: Date.now() };
-  await chrome.storage.local.set({ 'reorder_status': status });
+/**
+ * Statuses are stored per playlist (`reorder_status:<playlistId>`) so that tabs
+ * working on different playlists do not overwrite each other. Pages outside a
+ * playlist share the plain `reorder_status` key.
+ */
+function getStatusKey(playlistId = getPlaylistId()) {
+  return playlistId ? `reorder_status:${playlistId}` : 'reorder_status';
 }
 
-async function scrollToBottom(element) {
-    return new Promise(resolve => {
-        const contentContainer = document.querySelector("ytd-playlist-video-list-renderer #contents");
-        if (!contentContainer) {
-            resolve();
-            return;
-        }
+async function getStatus() {
+  const key = getStatusKey();
+  const data = await chrome.storage.local.get(key);
+  return (data && data[key]) || null;
+}
 
-        let lastHeight = 0;
-        let consecutiveStops = 0;
-        const maxConsecutiveStops = 3; // Stop after 3 checks with no height change
-
-        let scrollTimeout;
-        const scrollInterval = setInterval(() => {
-            window.scrollTo(0, document.documentElement.scrollHeight);
-            const currentHeight = document.documentElement.scrollHeight;
-
-            if (currentHeight === lastHeight) {
-                consecutiveStops++;
-                if (consecutiveStops >= maxConsecutiveStops) {
-                    clearInterval(scrollInterval);
-                    clearTimeout(scrollTimeout);
-                    resolve();
-                }
-            } else {
-                consecutiveStops = 0;
-                lastHeight = currentHeight;
-            }
-        }, 1000); // Scroll and check every second
+async function updateStatus(state, processed = 0, total = 0, message = '', plan = [], extra = {}) {
+  const status = { state, processed, total, message, plan, ...extra, timestamp: Date.now() };
+  isPlanShown = state === 'preview';
+  await chrome.storage.local.set({ [getStatusKey()]: status });
+  notifyStatusChange(state);
+  renderOverlay(status);
+}
+
+// Lets the background worker know which tab owns the operation on this playlist.
+function notifyStatusChange(state, playlistId = getPlaylistId()) {
+  if (!playlistId) return;
+  reportedPlaylistId = playlistId;
+  chrome.runtime.sendMessage({ from: 'content', action: 'statusChanged', playlistId, state }, () => {
+    // Read lastError so that an unanswered notification is not reported as an error.
+    void chrome.runtime.lastError;
+  });
+}
 
-        // Failsafe timeout to prevent infinite scrolling
-        scrollTimeout = setTimeout(() => { clearInterval(scrollInterval); resolve(); }, 30000);
+// Resolves to true when another tab owns an operation on the given playlist.
+function isOperationInOtherTab(playlistId) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage({ from: 'content', action: 'getOperationOwner', playlistId }, (response) => {
+      resolve(!chrome.runtime.lastError && Boolean(response && response.otherTab));
     });
+  });
+}
+
+// Headings of the in-page progress panel for each state. Other states hide the panel.
+const OVERLAY_STAGES = {
+  gathering: 'Loading the playlist',
+  preview: 'Plan ready – confirm it here, in the extension popup or with the keyboard shortcut',
+  reordering: 'Reordering',
+  complete: 'Done',
+  error: 'Stopped',
+};
+
+let overlay = null;
+let overlayDismissedState = null; // The state whose panel the user closed
+
+function createOverlay() {
+  const panel = document.createElement('div');
+  panel.id = 'playlist-reorder-overlay';
+  panel.innerHTML = `
+    <div class="pro-header">
+      <span class="pro-stage"></span>
+      <button type="button" class="pro-close" title="Hide">×</button>
+    </div>
+    <div class="pro-detail"></div>
+    <div class="pro-progress"><div class="pro-progress-bar"></div></div>
+    <div class="pro-count"></div>
+    <div class="pro-buttons">
+      <button type="button" class="pro-confirm">Confirm</button>
+      <button type="button" class="pro-pause">Pause</button>
+      <button type="button" class="pro-cancel">Cancel</button>
+    </div>`;
+  // The popup sends the move method the user picked; here it is read from the saved
+  // settings, as for the keyboard shortcut.
+  panel.querySelector('.pro-confirm').addEventListener('click', () => {
+    chrome.storage.local.get(['reorder_settings', 'reorder_presets'], (data) => {
+      confirmPlan(pickSavedSettings(data, getPlaylistId()).moveBackend);
+    });
+  });
+  panel.querySelector('.pro-pause').addEventListener('click', () => setPaused(!isPaused));
+  panel.querySelector('.pro-cancel').addEventListener('click', () => cancelOperation());
+  panel.querySelector('.pro-close').addEventListener('click', () => {
+    overlayDismissedState = panel.dataset.state;
+    panel.hidden = true;
+  });
+  return panel;
 }
 
-async function generateReorderPlan(order, maxLength) {
+/**
+ * Shows the status in a small panel on the playlist page, so that a long run can be
+ * followed without keeping the popup open. Its buttons act like the popup's.
+ */
+function renderOverlay(status) {
+  const stage = OVERLAY_STAGES[status.state];
+  if (status.state !== overlayDismissedState) {
+    overlayDismissedState = null;
+  }
+  if (!stage || overlayDismissedState) {
+    if (overlay) overlay.hidden = true;
+    return;
+  }
+  if (!overlay || !overlay.isConnected) {
+    overlay = createOverlay();
+    document.body.appendChild(overlay);
+  }
+  const active = status.state === 'gathering' || status.state === 'reordering';
+  overlay.dataset.state = status.state;
+  overlay.hidden = false;
+  overlay.querySelector('.pro-stage').textContent = status.paused ? 'Paused' : stage;
+  overlay.querySelector('.pro-detail').textContent = status.message || (status.current ? `Moving ${status.current}` : '');
+  const showProgress = status.total > 0 && status.state !== 'preview';
+  overlay.querySelector('.pro-progress').hidden = !showProgress;
+  overlay.querySelector('.pro-progress-bar').style.width = `${showProgress ? Math.round((status.processed / status.total) * 100) : 0}%`;
+  overlay.querySelector('.pro-count').textContent = showProgress ? `${status.processed} / ${status.total}` : '';
+  overlay.querySelector('.pro-confirm').hidden = status.state !== 'preview';
+  const pauseButton = overlay.querySelector('.pro-pause');
+  pauseButton.hidden = status.state !== 'reordering';
+  pauseButton.textContent = status.paused ? 'Continue' : 'Pause';
+  overlay.querySelector('.pro-cancel').hidden = !(active || status.state === 'preview');
+  overlay.querySelector('.pro-close').hidden = active;
+}
+
+// Marks the start of an operation, so that a cancel or pause left from an earlier one cannot stop it.
+function startOperation() {
   isReordering = true;
-  await updateStatus('gathering', 0, 0, 'Scrolling to load all videos...');
+  isCancelled = false;
+  isPaused = false;
+}
 
-  try { // Wrap in a try-finally to ensure isReordering is reset
-    // Scroll to the bottom to load all videos
-    await scrollToBottom();
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for any final videos to load
+// Cancels the operation in progress, from the popup or the page panel.
+function cancelOperation() {
+  if (!isReordering) return false;
+  // A plan in the preview has nothing running to stop; it is simply dropped.
+  if (!isPlanShown) isCancelled = true;
+  isReordering = false;
+  updateStatus('idle');
+  return true;
+}
+
+// Executes the plan shown in the preview. Resolves false when no plan is shown.
+async function confirmPlan(moveBackend) {
+  // Taken before the first await, so that a second confirmation cannot start the run again.
+  if (!isPlanShown) return false;
+  isPlanShown = false;
+  const status = await getStatus();
+  if (!status || status.state !== 'preview' || !status.plan) return false;
+  const { plan, excluded, excludedPlacement } = status;
+  startOperation();
+  executeReorder(plan, { excluded, excludedPlacement, moveBackend });
+  return true;
+}
+
+/**
+ * Pauses a running reorder after the current move, or lets it continue. The run stops
+ * at the next move and waits there until it is continued or cancelled.
+ */
+async function setPaused(paused) {
+  const status = await getStatus();
+  if (!isReordering || !status || status.state !== 'reordering') return false;
+  isPaused = paused;
+  await updateStatus('reordering', status.processed, status.total, paused ? 'Pausing after the current move...' : '', [], { paused });
+  return true;
+}
+
+async function waitWhilePaused() {
+  while (isPaused && !isCancelled) {
+    await new Promise(r => setTimeout(r, 250));
+  }
+}
+
+// The last item of a playlist that has more to load. YouTube swaps it for the next batch
+// of rows, and the list has been loaded in full once it is gone.
+const CONTINUATION_SELECTOR = 'ytd-continuation-item-renderer';
+const LOAD_CHECK_INTERVAL = 500; // ms
+// Without new rows for this long, scroll up and down again to wake the loader.
+const LOAD_NUDGE_AFTER = 5000; // ms
+// Loading stops early only when the list has not grown for this long.
+const LOAD_STALL_TIMEOUT = 30000; // ms
+
+function countLoadedVideos() {
+  return document.querySelectorAll('ytd-playlist-video-renderer').length;
+}
+
+/**
+ * Scrolls until the whole playlist is loaded, however long that takes. Calls
+ * `onProgress(loaded)` whenever more rows arrive and resolves with `{ loaded, stalled }`;
+ * `stalled` is set when the list stopped growing before its end. Stops early when the
+ * operation is cancelled.
+ */
+async function scrollToBottom(onProgress) {
+  const contentContainer = document.querySelector("ytd-playlist-video-list-renderer #contents");
+  if (!contentContainer) {
+    return { loaded: countLoadedVideos(), stalled: false };
+  }
+
+  let loaded = countLoadedVideos();
+  let lastGrowth = Date.now();
+  let lastNudge = lastGrowth;
+  let endChecks = 0;
+  for (;;) {
+    const continuation = contentContainer.querySelector(CONTINUATION_SELECTOR);
+    if (continuation) {
+      endChecks = 0;
+    } else if (++endChecks >= 2) {
+      // Checked twice, so the marker is not just between two batches.
+      return { loaded, stalled: false };
+    }
+    window.scrollTo(0, document.documentElement.scrollHeight);
+    await new Promise(r => setTimeout(r, LOAD_CHECK_INTERVAL));
+    if (isCancelled) {
+      return { loaded, stalled: false };
+    }
+
+    const count = countLoadedVideos();
+    const now = Date.now();
+    if (count !== loaded) {
+      loaded = count;
+      lastGrowth = now;
+      lastNudge = now;
+      if (onProgress) await onProgress(loaded);
+    } else if (continuation && now - lastGrowth > LOAD_STALL_TIMEOUT) {
+      return { loaded, stalled: true };
+    } else if (continuation && now - lastNudge > LOAD_NUDGE_AFTER) {
+      lastNudge = now;
+      window.scrollTo(0, Math.max(0, document.documentElement.scrollHeight - 2 * window.innerHeight));
+    }
+  }
+}
+
+// Places the playlist header shows its video count, in the current and older page layouts.
+const VIDEO_COUNT_SELECTORS = [
+  'ytd-playlist-byline-renderer yt-formatted-string',
+  'ytd-playlist-sidebar-primary-info-renderer #stats yt-formatted-string',
+  'ytd-playlist-header-renderer .metadata-stats yt-formatted-string',
+  'yt-page-header-view-model yt-content-metadata-view-model',
+];
+
+/**
+ * Reads the number of videos the playlist header reports, such as "1,234 videos" or
+ * "Playlist • 1.234 Videos • 10 views". Returns null if the header shows no count.
+ */
+function getExpectedVideoCount() {
+  for (const selector of VIDEO_COUNT_SELECTORS) {
+    const element = document.querySelector(selector);
+    const segment = element && element.textContent.split('•').find(part => /\d/.test(part));
+    if (segment) {
+      return parseInt(segment.match(/\d[\d.,\s\u00A0\u202F']*/)[0].replace(/\D/g, ''), 10);
+    }
+  }
+  return null;
+}
+
+const TIME_UNITS_IN_SECONDS = {
+  second: 1,
+  minute: 60,
+  hour: 3600,
+  day: 86400,
+  week: 604800,
+  month: 2592000,
+  year: 31536000,
+};
 
-    await updateStatus('gathering', 0, 0, 'Gathering video data...');
+const VIEW_COUNT_MULTIPLIERS = { K: 1e3, M: 1e6, B: 1e9 };
 
-    // This selector should target the video entries in the playlist
-    const videoListSelector = 'ytd-playlist-video-renderer';
-    const videoElements = Array.from(document.querySelectorAll(videoListSelector));
+/**
+ * Parses a view count line such as "1.2M views", "1,234 views" or "No views".
+ * Returns null if the text is not a view count.
+ */
+function parseViewCount(text) {
+  if (!text || !/views?$/i.test(text)) return null;
+  if (/^no views/i.test(text)) return 0;
+  const match = text.replace(/,/g, '').match(/([\d.]+)\s*([KMB])?/i);
+  if (!match) return null;
+  const multiplier = match[2] ? VIEW_COUNT_MULTIPLIERS[match[2].toUpperCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Parses a relative upload date such as "3 years ago" or "Streamed 2 days ago"
+ * into an approximate age in seconds. Returns null if the text is not a date.
+ */
+function parseUploadAge(text) {
+  const match = text && text.match(/(\d+)\s*(second|minute|hour|day|week|month|year)s?\s+ago/i);
+  if (!match) return null;
+  return parseInt(match[1], 10) * TIME_UNITS_IN_SECONDS[match[2].toLowerCase()];
+}
+
+function getVideoMetadata(videoElement) {
+  const channelEl = videoElement.querySelector('ytd-channel-name #text, #channel-name #text');
+  const infoTexts = Array.from(videoElement.querySelectorAll('#video-info span')).map(span => span.textContent.trim());
+  const views = infoTexts.map(parseViewCount).find(value => value !== null);
+  const age = infoTexts.map(parseUploadAge).find(value => value !== null);
+  return {
+    channel: channelEl ? channelEl.textContent.trim() : null,
+    views: views === undefined ? null : views,
+    age: age === undefined ? null : age,
+  };
+}
 
-    if (videoElements.length === 0) {
-      throw new Error("No videos found. Are you on a playlist page?");
+// Values each sort key compares on. In ascending order: shortest, A→Z, newest,
+// fewest views and original playlist position first.
+const SORT_KEYS = {
+  duration: video => video.duration,
+  channel: video => video.channel,
+  title: video => video.title,
+  age: video => video.age,
+  views: video => video.views,
+  position: video => video.position,
+};
+
+function compareVideos(a, b, sortKey = 'duration', order = 'asc') {
+  const getValue = SORT_KEYS[sortKey] || SORT_KEYS.duration;
+  const valueA = getValue(a);
+  const valueB = getValue(b);
+  // Videos without a value for the key always go last, whatever the direction.
+  if (valueA === null || valueA === undefined) return (valueB === null || valueB === undefined) ? 0 : 1;
+  if (valueB === null || valueB === undefined) return -1;
+  const result = typeof valueA === 'string'
+    ? valueA.localeCompare(valueB, undefined, { sensitivity: 'base', numeric: true })
+    : valueA - valueB;
+  return order === 'desc' ? -result : result;
+}
+
+/**
+ * Turns the sort settings into a key chain of `{ key, order }` entries. Accepts a
+ * single key name (sorted in `order`) or a chain from the popup. The original
+ * position is always appended as the last tie-breaker so that the same settings
+ * always produce the same plan.
+ */
+function normalizeSortKeys(sortKeys, order = 'asc') {
+  const chain = Array.isArray(sortKeys)
+    ? sortKeys.filter(entry => entry && SORT_KEYS[entry.key]).map(entry => ({ key: entry.key, order: entry.order === 'desc' ? 'desc' : 'asc' }))
+    : [{ key: SORT_KEYS[sortKeys] ? sortKeys : 'duration', order }];
+  if (chain.length === 0) {
+    chain.push({ key: 'duration', order });
+  }
+  if (!chain.some(entry => entry.key === 'position')) {
+    chain.push({ key: 'position', order: 'asc' });
+  }
+  return chain;
+}
+
+function compareByKeys(a, b, sortKeys) {
+  for (const { key, order } of sortKeys) {
+    const result = compareVideos(a, b, key, order);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+/**
+ * Turns a title rule into a matcher. Rules written as `/pattern/flags` are
+ * regular expressions; anything else matches as a case-insensitive substring.
+ * The `g` and `y` flags are dropped, since they would make each test start
+ * where the previous title's match ended.
+ */
+function parseTitleRule(rule) {
+  const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    } catch (e) {
+      throw new Error(`Invalid title pattern ${rule}: ${e.message}`);
     }
+    return title => regex.test(title);
+  }
+  const keyword = rule.toLowerCase();
+  return title => title.toLowerCase().includes(keyword);
+}
+
+function normalizeChannelName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Applies the filters in a fixed order and counts how many videos each one removed.
+ * Videos have to pass every filter; include lists keep only videos matching one of
+ * their entries, exclude lists drop videos matching any entry. Empty lists and
+ * lengths of 0 are ignored, and videos without a known duration pass the length filters.
+ */
+function applyFilters(videos, filters = {}) {
+  const {
+    maxLength = 0,
+    minLength = 0,
+    includeChannels = [],
+    excludeChannels = [],
+    includeTitles = [],
+    excludeTitles = [],
+  } = filters;
+  const includeChannelSet = new Set(includeChannels.map(normalizeChannelName).filter(Boolean));
+  const excludeChannelSet = new Set(excludeChannels.map(normalizeChannelName).filter(Boolean));
+  const includeTitleMatchers = includeTitles.filter(Boolean).map(parseTitleRule);
+  const excludeTitleMatchers = excludeTitles.filter(Boolean).map(parseTitleRule);
+
+  const steps = [
+    ['maxLength', maxLength > 0, video => video.duration === null || video.duration <= maxLength],
+    ['minLength', minLength > 0, video => video.duration === null || video.duration >= minLength],
+    ['includeChannels', includeChannelSet.size > 0, video => includeChannelSet.has(normalizeChannelName(video.channel))],
+    ['excludeChannels', excludeChannelSet.size > 0, video => !excludeChannelSet.has(normalizeChannelName(video.channel))],
+    ['includeTitles', includeTitleMatchers.length > 0, video => includeTitleMatchers.some(matches => matches(video.title))],
+    ['excludeTitles', excludeTitleMatchers.length > 0, video => !excludeTitleMatchers.some(matches => matches(video.title))],
+  ];
+
+  let kept = videos;
+  const removedCounts = {};
+  steps.forEach(([name, enabled, predicate]) => {
+    if (!enabled) return;
+    const remaining = kept.filter(predicate);
+    removedCounts[name] = kept.length - remaining.length;
+    kept = remaining;
+  });
+  return { kept, removedCounts };
+}
+
+const EXCLUDED_PLACEMENTS = ['below', 'above', 'sorted', 'inPlace'];
+
+/**
+ * Builds the full expected playlist layout from the sorted plan and the videos
+ * the filters excluded from it:
+ * - below: excluded videos follow the plan in their original order
+ * - above: excluded videos precede the plan in their original order
+ * - sorted: like below, with the excluded videos already sorted by the same keys
+ * - inPlace: excluded videos keep their original positions and the plan fills the gaps
+ * Plan entries anchored to the top or bottom by their kind policy are kept at the
+ * very top or bottom of the layout.
+ */
+function buildLayout(plan, excluded = [], placement = 'below') {
+  // Entries anchored by their kind policy stay at the very top or bottom of the playlist.
+  const head = plan.filter(video => video.anchor === 'top');
+  const tail = plan.filter(video => video.anchor === 'bottom');
+  const body = plan.filter(video => !video.anchor);
+  return [...head, ...arrangeExcluded(body, excluded, placement, head.length), ...tail];
+}
+
+// Places the excluded videos around the plan. `start` is where the result begins in the
+// playlist, which is what in-place positions count from.
+function arrangeExcluded(plan, excluded, placement, start = 0) {
+  if (placement === 'above') {
+    return [...excluded, ...plan];
+  }
+  if (placement === 'inPlace') {
+    const layout = [];
+    const remaining = [...plan];
+    const pinned = [...excluded].sort((a, b) => a.position - b.position);
+    while (remaining.length > 0 || pinned.length > 0) {
+      if (pinned.length > 0 && (pinned[0].position <= start + layout.length || remaining.length === 0)) {
+        layout.push(pinned.shift());
+      } else {
+        layout.push(remaining.shift());
+      }
+    }
+    return layout;
+  }
+  return [...plan, ...excluded];
+}
+
+// What happens to each special kind of entry unless the user chooses otherwise:
+// 'sort' sorts it with the other videos, 'top' and 'bottom' send it to that end
+// of the playlist and 'skip' leaves it out of the plan like a filtered-out video.
+const DEFAULT_KIND_POLICIES = {
+  live: 'bottom',
+  premiere: 'bottom',
+  short: 'sort',
+  unavailable: 'bottom',
+};
+
+const KIND_POLICIES = ['sort', 'top', 'bottom', 'skip'];
+
+function getKindPolicy(kind, kindPolicies = {}) {
+  if (kind === 'normal') return 'sort';
+  return KIND_POLICIES.includes(kindPolicies[kind]) ? kindPolicies[kind] : DEFAULT_KIND_POLICIES[kind];
+}
+
+/**
+ * Returns a deterministic pseudo-random number generator (mulberry32) for a
+ * 32-bit seed, so that the same seed always gives the same shuffle.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Upper bounds in seconds of the duration bands used by "shuffle within bands":
+// under 10 minutes, 10 to 30 minutes, and everything longer.
+const SHUFFLE_BANDS = [600, 1800];
+
+function getShuffleBand(video) {
+  if (video.duration === null || video.duration === undefined) return SHUFFLE_BANDS.length + 1;
+  const band = SHUFFLE_BANDS.findIndex(limit => video.duration < limit);
+  return band === -1 ? SHUFFLE_BANDS.length : band;
+}
 
-    let videoData = videoElements.map((el, index) => {
-      const timeEl = el.querySelector('span.ytd-thumbnail-overlay-time-status-renderer');
-      const titleEl = el.querySelector('#video-title');
-      const durationText = timeEl ? timeEl.innerText.trim() : '0:00';
-      const durationSeconds = durationText.split(':').reduce((acc, time) => (60 * acc) + +time, 0);
-      return { duration: durationSeconds, title: titleEl ? titleEl.textContent.trim() : 'Untitled' };
+/**
+ * Shuffles videos with a seeded Fisher-Yates shuffle. With `bands`, videos are
+ * grouped by duration band (shortest band first) and shuffled within each band.
+ * Videos are put in a canonical order by ID first, so a seed reproduces the same
+ * order for the same videos however the playlist is currently ordered.
+ */
+function shuffleVideos(videos, seed, bands = false) {
+  const random = createRandom(seed);
+  const keys = getVideoKeys(videos);
+  const shuffled = videos
+    .map((video, i) => ({ key: keys[i], video }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(entry => entry.video);
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  if (bands) {
+    // Array.prototype.sort is stable, so the shuffled order is kept within each band.
+    shuffled.sort((a, b) => getShuffleBand(a) - getShuffleBand(b));
+  }
+  return shuffled;
+}
+
+/**
+ * Interleaves already-ordered videos round-robin by channel: the first video of
+ * every channel, then the second of every channel, and so on. Channels take
+ * turns in the order their first video appears, and each channel keeps its
+ * videos in the order given.
+ */
+function interleaveByChannel(videos) {
+  const groups = new Map();
+  videos.forEach(video => {
+    const channel = normalizeChannelName(video.channel);
+    if (!groups.has(channel)) groups.set(channel, []);
+    groups.get(channel).push(video);
+  });
+  const queues = Array.from(groups.values());
+  const interleaved = [];
+  for (let round = 0; interleaved.length < videos.length; round++) {
+    queues.forEach(queue => {
+      if (round < queue.length) interleaved.push(queue[round]);
     });
+  }
+  return interleaved;
+}
+
+/**
+ * Arranges ordered videos into consecutive sessions of at most `sessionLength`
+ * seconds. Sessions are filled first-fit decreasing: the longest videos are placed
+ * first, each into the earliest session it still fits in. That packs nearly as
+ * tightly as an exact search and stays quick for playlists of thousands of videos.
+ * Within a session videos keep the caller's ordering. Every video is tagged with
+ * its 1-based `session`. Videos longer than a session get a session of their own
+ * after the packed ones, and videos without a usable duration go last, untagged.
+ */
+function packSessions(videos, sessionLength) {
+  const fitting = videos.filter(video => Number.isInteger(video.duration) && video.duration > 0 && video.duration <= sessionLength);
+  const tooLong = videos.filter(video => Number.isInteger(video.duration) && video.duration > sessionLength);
+  const unknown = videos.filter(video => !fitting.includes(video) && !tooLong.includes(video));
 
-    // Filter out videos that are too long, if a max length is set
-    if (maxLength > 0) {
-      videoData = videoData.filter(video => video.duration <= maxLength);
+  const bins = [];
+  [...fitting].sort((a, b) => b.duration - a.duration).forEach(video => {
+    const bin = bins.find(candidate => candidate.total + video.duration <= sessionLength);
+    if (bin) {
+      bin.videos.push(video);
+      bin.total += video.duration;
+    } else {
+      bins.push({ videos: [video], total: video.duration });
     }
+  });
+  const position = new Map(fitting.map((video, i) => [video, i]));
+  const sessions = bins.map(bin => bin.videos.sort((a, b) => position.get(a) - position.get(b)));
+  tooLong.forEach(video => sessions.push([video]));
+
+  return [
+    ...sessions.flatMap((session, i) => session.map(video => ({ ...video, session: i + 1 }))),
+    ...unknown,
+  ];
+}
+
+function assertPageUpToDate() {
+  if (pageOutOfDate) {
+    throw new Error("The page does not show the new order yet. Reload it first.");
+  }
+}
+
+/**
+ * Loads and reads the whole playlist. Resolves with the videos and, when fewer were
+ * loaded than the header lists or loading stalled, a warning to show with the result.
+ * Resolves with null when the operation is cancelled while loading.
+ */
+async function gatherVideos() {
+  assertPageUpToDate();
+  const expected = getExpectedVideoCount();
+  const describeProgress = loaded => (expected ? `Loaded ${loaded} of ${expected} videos...` : `Loaded ${loaded} videos...`);
+  await updateStatus('gathering', 0, expected || 0, 'Scrolling to load all videos...');
+  const { stalled } = await scrollToBottom(loaded => updateStatus('gathering', loaded, expected || 0, describeProgress(loaded)));
+  if (isCancelled) {
+    return null;
+  }
+
+  await updateStatus('gathering', 0, 0, 'Gathering video data...');
+
+  // This selector should target the video entries in the playlist
+  const videoListSelector = 'ytd-playlist-video-renderer';
+  const videoElements = Array.from(document.querySelectorAll(videoListSelector));
+
+  if (videoElements.length === 0) {
+    throw new Error("No videos found. Are you on a playlist page?");
+  }
+
+  let loadWarning = null;
+  if (stalled) {
+    loadWarning = `Loading stopped after ${videoElements.length} videos, before the end of the playlist. Only those are included.`;
+  } else if (expected !== null && videoElements.length !== expected) {
+    loadWarning = `Loaded ${videoElements.length} of the ${expected} videos the playlist lists. Hidden or unavailable videos can account for the difference.`;
+  }
+  return { videos: videoElements.map(readVideoInfo), loadWarning };
+}
+
+async function generateReorderPlan(order, maxLength, sortKeys = 'duration', options = {}) {
+  const excludedPlacement = EXCLUDED_PLACEMENTS.includes(options.excludedPlacement) ? options.excludedPlacement : 'below';
+  const kindPolicies = options.kindPolicies || {};
+  startOperation();
+
+  try { // Wrap in a try-finally to ensure isReordering is reset
+    const gathered = await gatherVideos();
+    if (!gathered) return; // Cancelled while loading, so there is no plan to show.
+    const { videos: allVideos, loadWarning } = gathered;
+    const byPolicy = { sort: [], top: [], bottom: [], skip: [] };
+    allVideos.forEach(video => byPolicy[getKindPolicy(video.kind, kindPolicies)].push(video));
+
+    const { kept, removedCounts } = applyFilters(byPolicy.sort, { ...options.filters, maxLength });
+    if (byPolicy.skip.length > 0) {
+      removedCounts.skippedKinds = byPolicy.skip.length;
+    }
+    const keyChain = normalizeSortKeys(sortKeys, order);
+    const primaryOrder = Array.isArray(sortKeys) ? sortKeys[0] && sortKeys[0].order : order;
+    const seed = primaryOrder === 'shuffle' ? (Number.isInteger(options.shuffleSeed) ? options.shuffleSeed >>> 0 : createSeed()) : null;
+    const arrange = videos => {
+      const arranged = seed === null
+        ? [...videos].sort((a, b) => compareByKeys(a, b, keyChain))
+        : shuffleVideos(videos, seed, options.shuffleBands);
+      return options.interleaveChannels ? interleaveByChannel(arranged) : arranged;
+    };
+    const sessionLength = Number.isInteger(options.sessionLength) && options.sessionLength > 0 ? options.sessionLength : null;
+    const sorted = sessionLength ? packSessions(arrange(kept), sessionLength) : arrange(kept);
+    const videoData = [
+      ...byPolicy.top.map(video => ({ ...video, anchor: 'top' })),
+      ...sorted,
+      ...byPolicy.bottom.map(video => ({ ...video, anchor: 'bottom' })),
+    ];
 
     if (videoData.length === 0) {
       throw new Error("No videos match the specified criteria.");
     }
 
-    videoData.sort((a, b) => {
-      return order === 'asc' ? a.duration - b.duration : b.duration - a.duration;
-    });
+    const included = new Set([...kept, ...byPolicy.top, ...byPolicy.bottom]);
+    let excluded = allVideos.filter(video => !included.has(video));
+    if (excludedPlacement === 'sorted') {
+      excluded = arrange(excluded);
+    }
 
     // Store the plan and send it to the popup for confirmation
-    const planForPopup = videoData.map(v => ({ title: v.title, duration: v.duration }));
-    await updateStatus('preview', 0, videoData.length, '', planForPopup);
+    const layout = buildLayout(videoData, excluded, excludedPlacement);
+    const moves = computeMoves(allVideos, buildTargetOrder(layout, allVideos));
+    await updateStatus('preview', 0, videoData.length, '', videoData, { excluded, excludedPlacement, filterCounts: removedCounts, moveCount: moves.length, seed, sessionLength, loadWarning });
 
   } catch (error) {
     await updateStatus('error', 0, 0, error.message);
@@ -96,12 +702,308 @@ async function generateReorderPlan(order, maxLength) {
   }
 }
 
-function findVideoElementByTitle(title) {
+/**
+ * Rewrites an overlay duration in the "4:05" form. Depending on the interface language,
+ * overlays use full-width, Arabic-Indic or Persian digits, "." between the parts, or
+ * carry direction marks.
+ */
+function normalizeDurationText(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[\s\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '')
+    .replace(/[.\u2236]/g, ':');
+}
+
+/**
+ * Parses an overlay duration such as "4:05" or "1:02:03" into seconds.
+ * Returns null for anything that is not a duration ("LIVE", "SHORTS", empty).
+ */
+function parseDuration(text) {
+  const normalized = text ? normalizeDurationText(text) : '';
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(normalized)) return null;
+  return normalized.split(':').reduce((acc, time) => (60 * acc) + +time, 0);
+}
+
+/**
+ * Classifies a playlist row as 'normal', 'live', 'premiere', 'short' or 'unavailable',
+ * based on its title, its thumbnail overlay and its link.
+ */
+function classifyVideo(videoElement, title, overlayText) {
+  if (/^\[(private|deleted) video\]$/i.test(title)) return 'unavailable';
+  const overlay = videoElement.querySelector('ytd-thumbnail-overlay-time-status-renderer');
+  const overlayStyle = ((overlay && overlay.getAttribute('overlay-style')) || '').toUpperCase();
+  const text = overlayText.toUpperCase();
+  if (overlayStyle === 'LIVE' || text === 'LIVE') return 'live';
+  if (overlayStyle === 'UPCOMING' || text === 'UPCOMING' || text === 'PREMIERE') return 'premiere';
+  const link = videoElement.querySelector('a#video-title, a#thumbnail');
+  const href = (link && link.getAttribute('href')) || '';
+  if (overlayStyle === 'SHORTS' || text === 'SHORTS' || href.startsWith('/shorts/')) return 'short';
+  return 'normal';
+}
+
+function normalizeTitle(title) {
+  return (title || '').trim().toLowerCase();
+}
+
+/**
+ * Matches imported entries to playlist videos, by video ID when the entry has
+ * one and by title otherwise. Each video is matched at most once, so a video
+ * listed twice in the playlist needs two entries. Returns the matched videos in
+ * entry order, the entries that matched nothing, and the videos left over.
+ */
+function matchImportedEntries(entries, videos) {
+  const used = new Set();
+  const matched = [];
+  const unmatched = [];
+  entries.forEach(entry => {
+    const video = videos.find(candidate => !used.has(candidate) && (entry.videoId
+      ? candidate.videoId === entry.videoId
+      : normalizeTitle(candidate.title) === normalizeTitle(entry.title)));
+    if (video) {
+      used.add(video);
+      matched.push(video);
+    } else {
+      unmatched.push({ videoId: entry.videoId || null, title: entry.title || '' });
+    }
+  });
+  return { matched, unmatched, remaining: videos.filter(video => !used.has(video)) };
+}
+
+/**
+ * Builds a preview plan from an imported ordering. Playlist videos the file
+ * does not mention are handled like filtered-out videos.
+ */
+async function importOrder(entries, options = {}) {
+  const excludedPlacement = EXCLUDED_PLACEMENTS.includes(options.excludedPlacement) ? options.excludedPlacement : 'below';
+  startOperation();
+
+  try {
+    const gathered = await gatherVideos();
+    if (!gathered) return; // Cancelled while loading, so there is no plan to show.
+    const { videos: allVideos, loadWarning } = gathered;
+    const { matched, unmatched, remaining } = matchImportedEntries(entries, allVideos);
+    if (matched.length === 0) {
+      throw new Error("None of the imported entries match a video in this playlist.");
+    }
+
+    const layout = buildLayout(matched, remaining, excludedPlacement);
+    const moves = computeMoves(allVideos, buildTargetOrder(layout, allVideos));
+    await updateStatus('preview', 0, matched.length, '', matched, { excluded: remaining, excludedPlacement, moveCount: moves.length, unmatched, loadWarning });
+  } catch (error) {
+    await updateStatus('error', 0, 0, error.message);
+  }
+  // As with generated plans, isReordering stays true until the plan is executed or cancelled.
+}
+
+/**
+ * Builds a preview plan that moves one video to the top or bottom of the playlist and
+ * leaves every other video where it is, as an import listing only that video would.
+ */
+async function planVideoMove(videoId, direction) {
+  const excludedPlacement = direction === 'top' ? 'below' : 'above';
+  startOperation();
+
+  try {
+    const gathered = await gatherVideos();
+    if (!gathered) return; // Cancelled while loading, so there is no plan to show.
+    const { videos: allVideos, loadWarning } = gathered;
+    const { matched, remaining } = matchImportedEntries([{ videoId }], allVideos);
+    if (matched.length === 0) {
+      throw new Error("The video is not in this playlist.");
+    }
+
+    const layout = buildLayout(matched, remaining, excludedPlacement);
+    const moves = computeMoves(allVideos, buildTargetOrder(layout, allVideos));
+    await updateStatus('preview', 0, matched.length, '', matched, { excluded: remaining, excludedPlacement, moveCount: moves.length, loadWarning });
+  } catch (error) {
+    await updateStatus('error', 0, 0, error.message);
+  }
+}
+
+/**
+ * Reads the whole playlist for export. Resolves like gatherVideos, in playlist order.
+ */
+async function exportPlaylist() {
+  startOperation();
+  try {
+    const gathered = await gatherVideos();
+    if (!gathered) {
+      throw new Error("The export was cancelled.");
+    }
+    await updateStatus('idle');
+    return gathered;
+  } catch (error) {
+    // A cancelled export has already been reset to idle.
+    if (!isCancelled) await updateStatus('error', 0, 0, error.message);
+    throw error;
+  } finally {
+    isReordering = false;
+  }
+}
+
+/**
+ * Keeps the kind anchors that still agree with an edited plan: top anchors on the entries
+ * that lead it and bottom anchors on those that end it. An anchored entry the user put
+ * anywhere else loses its anchor, so that the plan runs in the order shown.
+ */
+function keepConsistentAnchors(plan) {
+  const firstUnanchored = plan.findIndex(video => video.anchor !== 'top');
+  const headEnd = firstUnanchored === -1 ? plan.length : firstUnanchored;
+  let tailStart = plan.length;
+  while (tailStart > headEnd && plan[tailStart - 1].anchor === 'bottom') {
+    tailStart--;
+  }
+  return plan.map((video, i) => {
+    if (!video.anchor || (video.anchor === 'top' ? i < headEnd : i >= tailStart)) return video;
+    const { anchor, ...rest } = video;
+    return rest;
+  });
+}
+
+/**
+ * Writes a plan edited in the preview back to the playlist's status, with the move
+ * count recomputed against the playlist currently on the page. Kind anchors the edited
+ * order conflicts with are dropped; the others keep their entries where they were.
+ */
+async function updatePlan(editedPlan, excluded = []) {
+  const status = (await getStatus()) || {};
+  if (status.state !== 'preview') return false;
+  const plan = keepConsistentAnchors(editedPlan);
+  const currentOrder = Array.from(document.querySelectorAll('ytd-playlist-video-renderer')).map(readVideoInfo);
+  const layout = buildLayout(plan, excluded, status.excludedPlacement);
+  const moves = computeMoves(currentOrder, buildTargetOrder(layout, currentOrder));
+  await updateStatus('preview', 0, plan.length, '', plan, {
+    excluded,
+    excludedPlacement: status.excludedPlacement,
+    filterCounts: status.filterCounts,
+    moveCount: moves.length,
+    seed: status.seed,
+    sessionLength: status.sessionLength,
+    unmatched: status.unmatched,
+    loadWarning: status.loadWarning,
+  });
+  return true;
+}
+
+function readVideoInfo(videoElement, index) {
+  const timeEl = videoElement.querySelector('span.ytd-thumbnail-overlay-time-status-renderer');
+  const overlayText = timeEl && timeEl.innerText ? timeEl.innerText.trim() : '';
+  const title = getVideoTitle(videoElement);
+  const kind = classifyVideo(videoElement, title, overlayText);
+  const videoId = getVideoId(videoElement);
+  const { channel, views, age } = getVideoMetadata(videoElement);
+  return { videoId, title, kind, duration: parseDuration(overlayText), channel, views, age, position: index };
+}
+
+/**
+ * Returns an identity key for every entry of a video list. Repeated keys (the
+ * same video added twice) get an occurrence suffix so that each entry stays
+ * distinct.
+ */
+function getVideoKeys(videos) {
+  const seen = new Map();
+  return videos.map(video => {
+    const baseKey = video.videoId || `title:${video.title}`;
+    const count = seen.get(baseKey) || 0;
+    seen.set(baseKey, count + 1);
+    return count === 0 ? baseKey : `${baseKey}#${count}`;
+  });
+}
+
+/**
+ * Builds the full expected playlist order: the planned videos first, followed
+ * by every other video in its current relative order.
+ */
+function buildTargetOrder(plan, currentOrder) {
+  const planKeys = new Set(getVideoKeys(plan));
+  const currentKeys = getVideoKeys(currentOrder);
+  const rest = currentOrder.filter((video, i) => !planKeys.has(currentKeys[i]));
+  return [...plan, ...rest];
+}
+
+/**
+ * Computes the fewest "Move to top" / "Move to bottom" operations that turn
+ * `currentOrder` into `targetOrder`. The longest block of consecutive target
+ * entries that already appear in the right relative order stays untouched;
+ * everything before it is moved to the top and everything after it to the
+ * bottom. Returns the moves in the order they must be executed.
+ */
+function computeMoves(currentOrder, targetOrder) {
+  const currentKeys = getVideoKeys(currentOrder);
+  const targetKeys = getVideoKeys(targetOrder);
+  const currentIndex = new Map(currentKeys.map((key, i) => [key, i]));
+  const positions = targetKeys.map(key => (currentIndex.has(key) ? currentIndex.get(key) : -1));
+
+  let bestStart = 0;
+  let bestLength = 0;
+  let runStart = 0;
+  for (let i = 0; i < positions.length; i++) {
+    if (positions[i] === -1) {
+      runStart = i + 1;
+      continue;
+    }
+    if (i > runStart && positions[i] < positions[i - 1]) {
+      runStart = i;
+    }
+    if (i - runStart + 1 > bestLength) {
+      bestStart = runStart;
+      bestLength = i - runStart + 1;
+    }
+  }
+
+  const moves = [];
+  // Moving N to the top and then N-1 leaves N-1 above N, so the top block is moved last-first.
+  for (let i = bestStart - 1; i >= 0; i--) {
+    moves.push({ video: targetOrder[i], direction: 'top' });
+  }
+  for (let i = bestStart + bestLength; i < targetOrder.length; i++) {
+    moves.push({ video: targetOrder[i], direction: 'bottom' });
+  }
+  return moves;
+}
+
+function getVideoTitle(videoElement) {
+    const titleEl = videoElement.querySelector('#video-title');
+    return titleEl ? titleEl.textContent.trim() : 'Untitled';
+}
+
+/**
+ * Extracts the video ID of a playlist row from its watch link, or null.
+ */
+function getVideoId(videoElement) {
+    const link = videoElement.querySelector('a#video-title, a#thumbnail');
+    const href = link && link.getAttribute('href');
+    if (!href) return null;
+    try {
+        return new URL(href, 'https://www.youtube.com').searchParams.get('v');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a playlist row is the video described by a plan entry.
+ * Compares video IDs, and only falls back to the title for entries that
+ * carry no ID.
+ */
+function isSameVideo(videoElement, videoInfo) {
+    const videoId = getVideoId(videoElement);
+    if (videoInfo.videoId && videoId) {
+        return videoInfo.videoId === videoId;
+    }
+    return getVideoTitle(videoElement) === videoInfo.title;
+}
+
+function describeVideo(videoInfo) {
+    if (videoInfo.title === undefined) return videoInfo.videoId; // Stored by ID only.
+    return videoInfo.videoId ? `"${videoInfo.title}" (${videoInfo.videoId})` : `"${videoInfo.title}"`;
+}
+
+function findVideoElement(videoInfo) {
     const videoElements = Array.from(document.querySelectorAll('ytd-playlist-video-renderer'));
-    return videoElements.find(el => {
-        const titleEl = el.querySelector('#video-title');
-        return titleEl && titleEl.textContent.trim() === title;
-    });
+    return videoElements.find(el => isSameVideo(el, videoInfo));
 }
 
 async function waitForDOMStability(targetNode, timeout = 500) {
@@ -124,108 +1026,655 @@ async function waitForDOMStability(targetNode, timeout = 500) {
     });
 }
 
-async function waitForMove(titleToFind) {
+function isAtEnd(videoInfo, direction) {
+    const rows = document.querySelectorAll('ytd-playlist-video-list-renderer #contents ytd-playlist-video-renderer');
+    const endVideo = direction === 'bottom' ? rows[rows.length - 1] : rows[0];
+    return Boolean(endVideo) && isSameVideo(endVideo, videoInfo);
+}
+
+async function waitForMove(videoInfo, direction = 'top') {
     const maxRetries = 15;
     const retryDelay = 500; // ms
 
     for (let i = 0; i < maxRetries; i++) {
         await new Promise(r => setTimeout(r, retryDelay));
         
-        const firstVideo = document.querySelector('ytd-playlist-video-list-renderer #contents ytd-playlist-video-renderer');
-        if (firstVideo) {
-            const firstVideoTitle = firstVideo.querySelector('#video-title')?.textContent.trim();
-            if (firstVideoTitle === titleToFind) {
-                // Now, wait for the DOM to stop changing before proceeding.
-                const playlistContents = document.querySelector('ytd-playlist-video-list-renderer #contents');
-                if (playlistContents) await waitForDOMStability(playlistContents);
-                return;
-            }
+        if (isAtEnd(videoInfo, direction)) {
+            // Now, wait for the DOM to stop changing before proceeding.
+            const playlistContents = document.querySelector('ytd-playlist-video-list-renderer #contents');
+            if (playlistContents) await waitForDOMStability(playlistContents);
+            return;
         }
     }
-    return false;
+    throw new Error(`The page did not show the move to the ${direction}.`);
+}
+
+// Menu labels by interface language, for when page_api.js cannot find the item by its data.
+const MOVE_MENU_LABELS = {
+  top: [
+    'Move to top', // en
+    'Nach oben verschieben', // de
+    'Mover al principio', // es
+    'Déplacer en haut', // fr
+    'Sposta in alto', // it
+    'Naar boven verplaatsen', // nl
+    'Przenieś na górę', // pl
+    'Mover para o topo', // pt
+    'Переместить в начало', // ru
+    'En üste taşı', // tr
+    '一番上に移動', // ja
+    '맨 위로 이동', // ko
+    '移至顶部', // zh-Hans
+    '移至頂端', // zh-Hant
+  ],
+  bottom: [
+    'Move to bottom',
+    'Nach unten verschieben',
+    'Mover al final',
+    'Déplacer en bas',
+    'Sposta in basso',
+    'Naar onderen verplaatsen',
+    'Przenieś na dół',
+    'Mover para o final',
+    'Переместить в конец',
+    'En alta taşı',
+    '一番下に移動',
+    '맨 아래로 이동',
+    '移至底部',
+    '移至底端',
+  ],
+};
+
+function normalizeLabel(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function findMoveMenuItemByLabel(menuItems, direction) {
+  const labels = MOVE_MENU_LABELS[direction].map(normalizeLabel);
+  return menuItems.find(item => labels.includes(normalizeLabel(item.textContent)));
 }
 
-async function clickMenuOption(videoElement, optionText) {
+const MENU_LOOKUP_TIMEOUT = 1000;
+let menuLookupOnPage = true; // Cleared once page_api.js fails to answer, so labels are used from then on.
+
+/**
+ * Asks page_api.js for the menu item by its icon or playlist edit command, which only the
+ * page's own context can read. Resolves with the item's index among the page's menu items,
+ * or -1 when it has none or does not answer in time.
+ */
+async function findMoveMenuItemOnPage(direction) {
+  if (!menuLookupOnPage) return -1;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("The page did not answer the menu lookup.")), MENU_LOOKUP_TIMEOUT);
+  });
+  try {
+    return await Promise.race([callPage('findMoveMenuItem', { direction }), timeout]);
+  } catch (error) {
+    menuLookupOnPage = false;
+    return -1;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function clickMoveMenuItem(videoElement, direction) {
     const menuButton = videoElement.querySelector('#menu button');
     if (!menuButton) throw new Error(`Could not find menu button for video.`);
     menuButton.click();
     await new Promise(r => setTimeout(r, 200)); // Wait for menu to appear
-    const menuItems = document.querySelectorAll('ytd-menu-service-item-renderer');
-    const targetOption = Array.from(menuItems).find(item => item.textContent.trim() === optionText);
-    if (!targetOption) throw new Error(`Could not find "${optionText}" option.`);
+    const menuItems = Array.from(document.querySelectorAll('ytd-menu-service-item-renderer'));
+    const index = await findMoveMenuItemOnPage(direction);
+    const targetOption = menuItems[index] || findMoveMenuItemByLabel(menuItems, direction);
+    if (!targetOption) throw new Error(`Could not find the "Move to ${direction}" option.`);
     targetOption.click();
 }
 
-async function executeReorder(planToExecute) {
+const MAX_SNAPSHOTS_PER_PLAYLIST = 5;
+const MAX_SNAPSHOT_PLAYLISTS = 20;
+
+function getPlaylistId() {
+  try {
+    return new URL(window.location.href).searchParams.get('list');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Snapshots are kept in `reorder_snapshots`, keyed by playlist ID, oldest first. The
+// playlists are kept in the order they were last changed, so the oldest can be dropped.
+async function getSnapshots(playlistId) {
+  const data = await chrome.storage.local.get('reorder_snapshots');
+  const snapshots = (data && data.reorder_snapshots) || {};
+  return snapshots[playlistId] || [];
+}
+
+async function saveSnapshots(playlistId, history) {
+  const data = await chrome.storage.local.get('reorder_snapshots');
+  const snapshots = (data && data.reorder_snapshots) || {};
+  delete snapshots[playlistId];
+  if (history.length > 0) {
+    snapshots[playlistId] = history.slice(-MAX_SNAPSHOTS_PER_PLAYLIST);
+  }
+  Object.keys(snapshots).slice(0, -MAX_SNAPSHOT_PLAYLISTS).forEach(id => delete snapshots[id]);
+  await chrome.storage.local.set({ reorder_snapshots: snapshots });
+}
+
+// What storage keeps of a video: its ID, or its title when it has none.
+function toStoredVideo({ videoId, title }) {
+  return videoId ? { videoId } : { title };
+}
+
+/**
+ * Records the full playlist order before a run changes it, keeping only the
+ * last few snapshots for each playlist.
+ */
+async function saveSnapshot(playlistId, videos) {
+  const history = await getSnapshots(playlistId);
+  history.push({
+    timestamp: Date.now(),
+    videos: videos.map(toStoredVideo),
+  });
+  await saveSnapshots(playlistId, history);
+}
+
+/**
+ * Restores the most recent snapshot of the current playlist with the regular
+ * move machinery. The snapshot is dropped once the restored order is verified.
+ */
+async function undoLastReorder(moveBackend = 'menu') {
+  startOperation();
+  try {
+    assertPageUpToDate();
+    const playlistId = getPlaylistId();
+    const history = playlistId ? await getSnapshots(playlistId) : [];
+    if (history.length === 0) {
+      throw new Error("There is no reorder to undo for this playlist.");
+    }
+
+    await updateStatus('reordering', 0, 0, 'Loading all videos to restore the previous order...');
+    await scrollToBottom();
+    if (isCancelled) return false;
+
+    // Videos removed from the playlist since the snapshot can no longer be placed.
+    const snapshot = history[history.length - 1];
+    const currentOrder = Array.from(document.querySelectorAll('ytd-playlist-video-renderer')).map(readVideoInfo);
+    const currentKeys = getVideoKeys(currentOrder);
+    const byKey = new Map(currentOrder.map((video, i) => [currentKeys[i], video]));
+    const plan = getVideoKeys(snapshot.videos).map(key => byKey.get(key)).filter(Boolean);
+
+    const restored = (await executeReorder(plan, { recordSnapshot: false, moveBackend })) === true;
+    if (restored) {
+      await saveSnapshots(playlistId, history.slice(0, -1));
+    }
+    return restored;
+  } catch (error) {
+    isReordering = false;
+    await updateStatus('error', 0, 0, `Undo failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * The run in progress is persisted per playlist in `reorder_run:<playlistId>` as
+ * `{ playlistId, plan, excluded, excludedPlacement, moves, cursor }`, where `cursor`
+ * counts the moves already done. It is cleared whenever a run ends, so a run that is
+ * still stored on load was interrupted by a reload, navigation or crash. The videos
+ * in it are stored by ID, with just what the layout needs besides.
+ */
+function getRunKey(playlistId = getPlaylistId()) {
+  return `reorder_run:${playlistId}`;
+}
+
+async function getRun() {
+  const key = getRunKey();
+  const data = await chrome.storage.local.get(key);
+  return (data && data[key]) || null;
+}
+
+async function saveRun(run) {
+  const toRunVideo = ({ anchor, position, ...video }) => ({ ...toStoredVideo(video), anchor, position });
+  await chrome.storage.local.set({
+    [getRunKey(run.playlistId)]: {
+      ...run,
+      plan: run.plan.map(toRunVideo),
+      excluded: run.excluded.map(toRunVideo),
+      moves: run.moves.map(({ video, direction }) => ({ video: toStoredVideo(video), direction })),
+    },
+  });
+}
+
+async function clearRun() {
+  await chrome.storage.local.remove(getRunKey());
+}
+
+async function initializeStatus() {
+  const playlistId = getPlaylistId();
+  // A tab opened on a playlist that another tab is working on must leave that tab's status alone.
+  if (playlistId && await isOperationInOtherTab(playlistId)) return;
+  const run = playlistId ? await getRun() : null;
+  if (run && run.playlistId === playlistId) {
+    await updateStatus('interrupted', run.cursor, run.moves.length,
+      `The last reorder of this playlist stopped after ${run.cursor} of ${run.moves.length} moves.`);
+  } else {
+    await updateStatus('idle');
+  }
+}
+
+// Continues an interrupted run of the current playlist from its saved cursor.
+async function resumeReorder() {
+  const run = await getRun();
+  if (!run || run.playlistId !== getPlaylistId()) {
+    await updateStatus('error', 0, 0, 'There is no interrupted reorder to resume for this playlist.');
+    return false;
+  }
+  startOperation();
+  await updateStatus('reordering', run.cursor, run.moves.length, 'Loading all videos to resume...');
+  await scrollToBottom();
+  if (isCancelled) return false;
+  return executeReorder(run.plan, { excluded: run.excluded, excludedPlacement: run.excludedPlacement, resumeRun: run });
+}
+
+async function discardRun() {
+  await clearRun();
+  await updateStatus('idle');
+}
+
+// How moves are made: 'menu' works on the page like a user would (see MOVE_STRATEGIES),
+// 'request' sends the page's own playlist edit requests, which is much faster.
+const MOVE_BACKENDS = ['menu', 'request'];
+
+const CONTENT_SOURCE = 'yt-playlist-reorder-content';
+const PAGE_SOURCE = 'yt-playlist-reorder-page';
+const PAGE_REQUEST_TIMEOUT = 15000;
+let pageScriptLoading = null;
+let pageRequestId = 0;
+
+// Injects page_api.js into the page's own context, once.
+function loadPageScript() {
+  if (document.documentElement.dataset.playlistReorderApi === 'ready') {
+    return Promise.resolve();
+  }
+  if (!pageScriptLoading) {
+    pageScriptLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL('page_api.js');
+      script.onload = () => {
+        script.remove();
+        resolve();
+      };
+      script.onerror = () => {
+        script.remove();
+        pageScriptLoading = null;
+        reject(new Error("Could not load the page script."));
+      };
+      (document.head || document.documentElement).appendChild(script);
+    });
+  }
+  return pageScriptLoading;
+}
+
+// Sends a request to page_api.js and resolves with its result.
+async function callPage(type, payload) {
+  await loadPageScript();
+  const id = ++pageRequestId;
+  return new Promise((resolve, reject) => {
+    const onMessage = (event) => {
+      if (event.source !== window || !event.data || event.data.source !== PAGE_SOURCE || event.data.id !== id) return;
+      window.removeEventListener('message', onMessage);
+      clearTimeout(timer);
+      if (event.data.ok) {
+        resolve(event.data.result);
+      } else {
+        reject(new Error(event.data.error));
+      }
+    };
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onMessage);
+      reject(new Error("The page did not answer the edit request."));
+    }, PAGE_REQUEST_TIMEOUT);
+    window.addEventListener('message', onMessage);
+    window.postMessage({ source: CONTENT_SOURCE, id, type, payload }, window.location.origin);
+  });
+}
+
+function isSameVideoInfo(a, b) {
+  if (a.videoId && b.videoId) return a.videoId === b.videoId;
+  return a.title === b.title;
+}
+
+/**
+ * Makes one move with a playlist edit request. The page does not show such moves,
+ * so `order` tracks the order on the server and is updated once the edit succeeds.
+ */
+async function moveWithRequest(playlistId, order, videoInfo, direction) {
+  const index = order.findIndex(video => isSameVideoInfo(video, videoInfo));
+  if (index === -1) {
+    throw new Error(`Could not find video ${describeVideo(videoInfo)}.`);
+  }
+  const rest = order.filter((_, i) => i !== index);
+  const predecessor = direction === 'bottom' ? rest[rest.length - 1] : null;
+  const ids = video => ({ videoId: video.videoId });
+  await callPage('moveVideo', { playlistId, video: ids(order[index]), predecessor: predecessor ? ids(predecessor) : null });
+  const [moved] = order.splice(index, 1);
+  if (direction === 'bottom') {
+    order.push(moved);
+  } else {
+    order.unshift(moved);
+  }
+}
+
+// Clicks a menu entry, then waits for the page to show the entry at its new end.
+async function moveWithMenu(videoElement, videoInfo, direction) {
+  await clickMoveMenuItem(videoElement, direction);
+  await waitForMove(videoInfo, direction);
+}
+
+const DRAG_STEPS = 10;
+
+/**
+ * Drags the entry by its drag handle past the first or last row, with the same mouse
+ * events a user's drag produces, then waits for the page to show the move.
+ */
+async function moveWithDrag(videoElement, videoInfo, direction) {
+  const handle = videoElement.querySelector('#reorder');
+  if (!handle) throw new Error("Could not find the drag handle for video.");
+  const rows = Array.from(document.querySelectorAll('ytd-playlist-video-renderer'));
+  const from = handle.getBoundingClientRect();
+  const to = (direction === 'bottom' ? rows[rows.length - 1] : rows[0]).getBoundingClientRect();
+  const x = from.left + from.width / 2;
+  const startY = from.top + from.height / 2;
+  const endY = direction === 'bottom' ? to.bottom + 1 : to.top - 1;
+  const fire = (target, type, y) => target.dispatchEvent(new MouseEvent(type, {
+    bubbles: true, cancelable: true, composed: true, clientX: x, clientY: y, buttons: type === 'mouseup' ? 0 : 1,
+  }));
+
+  fire(handle, 'mousedown', startY);
+  for (let step = 1; step <= DRAG_STEPS; step++) {
+    await new Promise(r => setTimeout(r, 20));
+    fire(document, 'mousemove', startY + (endY - startY) * step / DRAG_STEPS);
+  }
+  fire(document, 'mouseup', endY);
+  await waitForMove(videoInfo, direction);
+}
+
+// Rows between an entry and the end it moves to, which a drag has to cross.
+function getMoveDistance(videoInfo, direction) {
+  const rows = Array.from(document.querySelectorAll('ytd-playlist-video-renderer'));
+  const index = rows.findIndex(el => isSameVideo(el, videoInfo));
+  if (index === -1) return rows.length;
+  return direction === 'bottom' ? rows.length - 1 - index : index;
+}
+
+/**
+ * The ways one entry can be moved to the top or bottom of the playlist. Each strategy has
+ * a `cost` in rough seconds for the move, `canMove` to say whether it applies, and `move`,
+ * which resolves once the move is confirmed and rejects otherwise. Strategies marked
+ * `onPage` work on the rows the page shows and get the entry's element.
+ */
+const MOVE_STRATEGIES = [
+  {
+    name: 'edit request',
+    cost: () => 0.5,
+    canMove: (move, context) => context.run.moveBackend === 'request',
+    move: ({ video, direction }, context) => moveWithRequest(context.run.playlistId, context.serverOrder, video, direction),
+    // A rejected edit request is not going to work for the next entry either.
+    onFailure: async (context) => {
+      context.run.moveBackend = 'menu';
+      await saveRun(context.run);
+    },
+  },
+  {
+    name: '"Move to top"',
+    onPage: true,
+    cost: () => 2,
+    canMove: ({ direction }) => direction === 'top',
+    move: ({ video, direction }, context, element) => moveWithMenu(element, video, direction),
+  },
+  {
+    name: '"Move to bottom"',
+    onPage: true,
+    cost: () => 2,
+    canMove: ({ direction }) => direction === 'bottom',
+    move: ({ video, direction }, context, element) => moveWithMenu(element, video, direction),
+  },
+  {
+    name: 'drag and drop',
+    onPage: true,
+    cost: ({ video, direction }) => 3 + getMoveDistance(video, direction) / 50,
+    canMove: () => true,
+    move: ({ video, direction }, context, element) => moveWithDrag(element, video, direction),
+  },
+];
+
+// Added to a strategy's cost for each move it failed in this run, so one that keeps failing drops back.
+const STRATEGY_FAILURE_PENALTY = 5;
+
+/**
+ * Lists the strategies that can make a move, cheapest first. Once an edit request has
+ * moved an entry the page is out of date, so the strategies that work on the page drop out.
+ */
+function chooseMoveStrategies(move, context) {
+  return MOVE_STRATEGIES
+    .filter(strategy => strategy.canMove(move, context) && !(strategy.onPage && context.requestMoves > 0))
+    .map(strategy => ({ strategy, cost: strategy.cost(move, context) + (context.failures[strategy.name] || 0) * STRATEGY_FAILURE_PENALTY }))
+    .sort((a, b) => a.cost - b.cost)
+    .map(({ strategy }) => strategy);
+}
+
+/**
+ * Makes one move, falling back to the next strategy whenever one fails. Resolves with the
+ * strategy that made the move, or null when the entry is no longer on the page, and rejects
+ * with every strategy's error.
+ */
+async function makeMove(move, context, onFallback) {
+  const errors = [];
+  let element = null;
+  for (const strategy of chooseMoveStrategies(move, context)) {
+    if (strategy.onPage) {
+      if (isAtEnd(move.video, move.direction)) {
+        // Already there, for instance because an earlier attempt was just slow to show.
+        return strategy;
+      }
+      if (!element) {
+        element = await context.findElement(move.video);
+        if (!element) return null;
+      }
+      element.scrollIntoView({ block: 'center' });
+    }
+    try {
+      await strategy.move(move, context, element);
+      return strategy;
+    } catch (error) {
+      context.failures[strategy.name] = (context.failures[strategy.name] || 0) + 1;
+      errors.push(`${strategy.name}: ${error.message}`);
+      if (strategy.onPage) {
+        // Close any menu the attempt left open.
+        document.body.click();
+      }
+      if (strategy.onFailure) {
+        await strategy.onFailure(context);
+      }
+      await onFallback(strategy, error);
+    }
+  }
+  throw new Error(errors.length > 0
+    ? `Could not move ${describeVideo(move.video)}. ${errors.join('; ')}`
+    : `No way to move ${describeVideo(move.video)} to the ${move.direction} is available.`);
+}
+
+const MOVE_RETRIES = 2;
+const MOVE_RETRY_DELAY = 1000; // ms, doubled for each further retry
+
+/**
+ * Makes one move, trying it again after a growing pause when every strategy fails.
+ * Resolves with the strategy that made the move (null if the entry is gone) and the
+ * number of retries it took.
+ */
+async function makeMoveWithRetries(move, context, onFallback, onRetry) {
+  for (let retries = 0; ; retries++) {
+    try {
+      return { strategy: await makeMove(move, context, onFallback), retries };
+    } catch (error) {
+      // After an edit request the page is out of date, so there is nothing left to retry with.
+      if (retries >= MOVE_RETRIES || context.requestMoves > 0) throw error;
+      await onRetry(retries + 1, error);
+      await new Promise(r => setTimeout(r, MOVE_RETRY_DELAY * 2 ** retries));
+    }
+  }
+}
+
+// Counts for the summary shown once a run ends: `retried` counts moves that only worked on a retry. Kept in the run so that a resumed run adds to them.
+function createRunSummary() {
+  return { moved: 0, skipped: [], failed: [], retried: 0, startedAt: Date.now() };
+}
+
+async function executeReorder(planToExecute, { excluded = [], excludedPlacement = 'below', recordSnapshot = true, resumeRun = null, moveBackend = 'menu' } = {}) {
   isReordering = true; // Ensure this is true before starting.
+  let keepRun = false; // Set when the run is handed over to a reloaded page.
 
   try {
     if (!planToExecute || planToExecute.length === 0) {
       throw new Error("Reorder plan is missing or empty.");
     }
-    const reorderPlan = planToExecute;
-    const totalVideos = reorderPlan.length;
-    await updateStatus('reordering', 0, totalVideos);
-
     const playlistElement = document.querySelector('ytd-playlist-video-list-renderer #contents');
     if (!playlistElement) {
       throw new Error("Could not find playlist container.");
     }
 
-    // **FIX**: Iterate backwards to get the correct final order.
-    // Moving item N to the top, then N-1, results in N-1 being on top of N.
-    // So we move the items that should be at the bottom first.
-    for (let i = reorderPlan.length - 1; i >= 0; i--) {
-      if (isCancelled) {
-        await updateStatus('idle');
-        break;
+    const layout = buildLayout(planToExecute, excluded, excludedPlacement);
+    let run = resumeRun;
+    if (!run) {
+      assertPageUpToDate();
+      // Work out the moves against the order currently on the page.
+      const currentOrder = Array.from(document.querySelectorAll('ytd-playlist-video-renderer')).map(readVideoInfo);
+      const playlistId = getPlaylistId();
+      if (recordSnapshot && playlistId) {
+        await saveSnapshot(playlistId, currentOrder);
       }
-      const videoInfo = reorderPlan[i];
-      let videoElement = findVideoElementByTitle(videoInfo.title);
-      
-      if (!videoElement) {
-          await updateStatus('reordering', reorderPlan.length - 1 - i, totalVideos, `Searching for "${videoInfo.title}"...`);
+      const moves = computeMoves(currentOrder, buildTargetOrder(layout, currentOrder));
+      const backend = MOVE_BACKENDS.includes(moveBackend) ? moveBackend : 'menu';
+      run = { playlistId, plan: planToExecute, excluded, excludedPlacement, moves, cursor: 0, moveBackend: backend, summary: createRunSummary() };
+      await saveRun(run);
+    }
+    if (!run.summary) {
+      run.summary = createRunSummary();
+    }
+    const summary = run.summary;
+    const moves = run.moves;
+    const totalMoves = moves.length;
+    await updateStatus('reordering', run.cursor, totalMoves);
+
+    const context = {
+      run,
+      // The server-side order that request moves are worked out against.
+      serverOrder: run.moveBackend === 'request'
+        ? Array.from(document.querySelectorAll('ytd-playlist-video-renderer')).map(readVideoInfo)
+        : null,
+      requestMoves: 0,
+      failures: {},
+      // Finds an entry's row for the strategies that work on the page, or null if it is gone.
+      findElement: async (video) => {
+        let videoElement = findVideoElement(video);
+        if (!videoElement) {
+          await updateStatus('reordering', run.cursor, totalMoves, `Searching for "${video.title}"...`);
           // Reuse the robust scrolling method from the plan generation step.
           await scrollToBottom();
-          videoElement = findVideoElementByTitle(videoInfo.title);
+          videoElement = findVideoElement(video);
+
+        }
+        return videoElement || null;
+      },
+    };
 
-          if (!videoElement) {
-            throw new Error(`Could not find video "${videoInfo.title}" after scrolling to the bottom. The playlist may have changed.`);
-          }
+    for (let i = run.cursor; i < moves.length; i++) {
+      if (isPaused && !isCancelled) {
+        await updateStatus('reordering', i, totalMoves, 'Paused.', [], { paused: true });
+        await waitWhilePaused();
+      }
+      if (isCancelled) {
+        await updateStatus('idle');
+        break;
       }
-      
+      const { video: videoInfo, direction } = moves[i];
+      await updateStatus('reordering', i, totalMoves, '', [], { current: describeVideo(videoInfo) });
+
+      let result = null;
       try {
-        videoElement.scrollIntoView({ block: 'center' });
-        await clickMenuOption(videoElement, 'Move to top');
-        await waitForMove(videoInfo.title);
-      } catch (e) {
-        // Attempt to close any open menus by clicking the body
-        document.body.click();
-        // Continue to the next video
+        result = await makeMoveWithRetries(moves[i], context,
+          (failed, error) => updateStatus('reordering', i, totalMoves, `${failed.name} failed for ${describeVideo(videoInfo)} (${error.message}).`),
+          (retry) => updateStatus('reordering', i, totalMoves, `Retrying ${describeVideo(videoInfo)} (${retry}/${MOVE_RETRIES})...`));
+      } catch (error) {
+        if (context.requestMoves > 0) {
+          // The page still shows the old order, so it cannot carry on from here.
+          // Reload it; the saved run can then be resumed with menu clicks.
+          keepRun = true;
+          await updateStatus('interrupted', i, totalMoves,
+            `Edit requests stopped working (${error.message}). Reloading the page; resume to finish with menu clicks.`);
+          pageOutOfDate = true;
+          window.location.reload();
+          return false;
+        }
+        // Carry on with the other moves; the failed ones can be retried once the run is over.
+        summary.failed.push({ video: videoInfo, direction, reason: error.message });
+      }
+      if (result && !result.strategy) {
+        summary.skipped.push({ video: videoInfo, direction, reason: 'No longer in the playlist.' });
+      } else if (result) {
+        summary.moved++;
+        if (result.retries > 0) summary.retried++;
+        if (!result.strategy.onPage) context.requestMoves++;
       }
-      
-      await updateStatus('reordering', reorderPlan.length - i, totalVideos);
+
+      run.cursor = i + 1;
+      await saveRun(run);
+      await updateStatus('reordering', i + 1, totalMoves);
     }
 
     if (isCancelled) {
       return; // Exit if cancelled during the loop
     }
 
-    // Verification Step
-    const verificationResult = await verifyOrder(planToExecute);
+    const { startedAt, ...counts } = summary;
+    const report = { ...counts, elapsed: Date.now() - startedAt };
+
+    if (context.requestMoves > 0) {
+      // Each edit was confirmed by the server, but the page cannot be checked until it is reloaded.
+      pageOutOfDate = true;
+      await updateStatus('complete', totalMoves, totalMoves, 'Reordered with edit requests. Reload the page to see the new order.', [], { summary: report });
+      return true;
+    }
+
+    if (summary.failed.length > 0) {
+      // The order is known to be off, so skip verification. The plan is kept for retrying.
+      const count = summary.failed.length;
+      await updateStatus('complete', totalMoves, totalMoves, `${count} ${count === 1 ? 'move' : 'moves'} failed.`, planToExecute,
+        { summary: report, excluded, excludedPlacement });
+      return false;
+    }
+
+    // Verification Step, leaving out the videos that are no longer in the playlist
+    const remaining = layout.filter(video => !summary.skipped.some(skipped => isSameVideoInfo(skipped.video, video)));
+    const verificationResult = await verifyOrder(remaining);
     if (verificationResult === true) {
-      await updateStatus('complete', totalVideos, totalVideos);
+      await updateStatus('complete', totalMoves, totalMoves, '', [], { summary: report });
+      return true;
     } else {
       throw new Error(verificationResult);
     }
   } catch (error) {
     await updateStatus('error', 0, 0, `Execution failed: ${error.message}`);
   } finally {
+    if (!keepRun) {
+      await clearRun();
+    }
     isReordering = false;
     isCancelled = false;
+    isPaused = false;
     setTimeout(() => {
-        chrome.storage.local.get('reorder_status', (data) => {
-            if (data.reorder_status && data.reorder_status.state === 'complete') {
+        getStatus().then(status => {
+            // A run with failed moves stays on show so that they can be retried.
+            if (status && status.state === 'complete' && !hasFailedMoves(status)) {
                 updateStatus('idle');
             }
         });
@@ -235,9 +1684,10 @@ async function executeReorder(planToExecute) {
 
 async function verifyOrder(planToVerify) {
   // Use the last 'processed' count from reordering as the current step for verification status
-  const status = await chrome.storage.local.get('reorder_status');
-  const currentProcessed = status.reorder_status?.processed || planToVerify.length;
-  await updateStatus('reordering', currentProcessed, planToVerify.length, 'Verifying final order...');
+  const status = await getStatus();
+  const currentTotal = status?.total ?? planToVerify.length;
+  const currentProcessed = status?.processed || currentTotal;
+  await updateStatus('reordering', currentProcessed, currentTotal, 'Verifying final order...');
 
   // Wait a moment for the DOM to settle after the last move operation.
   await new Promise(resolve => setTimeout(resolve, 2000));
@@ -247,16 +1697,11 @@ async function verifyOrder(planToVerify) {
     return "Verification failed: Not all videos were found on the page after reordering.";
   }
 
-  // Get the titles of the top videos from the DOM, up to the length of our plan.
-  const currentOrderTitles = videoElements.slice(0, planToVerify.length).map(el => {
-    const titleEl = el.querySelector('#video-title');
-    return titleEl ? titleEl.textContent.trim() : 'Untitled';
-  });
-
-  // Compare the current order with the planned order.
+  // Compare the videos in the DOM with the expected layout, which covers the whole playlist.
   for (let i = 0; i < planToVerify.length; i++) {
-    if (currentOrderTitles[i] !== planToVerify[i].title) {
-      const errorMsg = `Mismatch at position ${i + 1}. Expected: "${planToVerify[i].title}", but found: "${currentOrderTitles[i]}"`;
+    if (!isSameVideo(videoElements[i], planToVerify[i])) {
+      const foundInfo = { videoId: getVideoId(videoElements[i]), title: getVideoTitle(videoElements[i]) };
+      const errorMsg = `Mismatch at position ${i + 1}. Expected: ${describeVideo(planToVerify[i])}, but found: ${describeVideo(foundInfo)}`;
       return errorMsg; // Return the detailed error message for the UI
     }
   }
@@ -270,23 +1715,111 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ status: 'error', message: 'An operation is already in progress.' });
       return;
     }
-    generateReorderPlan(request.order, request.maxLength);
+    generateReorderPlan(request.order, request.maxLength, request.sortKeys, {
+      excludedPlacement: request.excludedPlacement,
+      filters: request.filters,
+      kindPolicies: request.kindPolicies,
+      shuffleSeed: request.shuffleSeed,
+      shuffleBands: request.shuffleBands,
+      interleaveChannels: request.interleaveChannels,
+      sessionLength: request.sessionLength,
+    });
+    sendResponse({ status: 'started' });
+  } else if (request.action === 'importOrder') {
+    if (isReordering) {
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    importOrder(request.entries, { excludedPlacement: request.excludedPlacement });
+    sendResponse({ status: 'started' });
+  } else if (request.action === 'planVideoMove') {
+    if (isReordering) {
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    planVideoMove(request.videoId, request.direction);
     sendResponse({ status: 'started' });
+  } else if (request.action === 'exportPlaylist') {
+    if (isReordering) {
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    exportPlaylist()
+      .then(({ videos, loadWarning }) => sendResponse({ status: 'ok', playlistId: getPlaylistId(), videos, loadWarning }))
+      .catch(error => sendResponse({ status: 'error', message: error.message }));
+    return true; // Indicate async response
   } else if (request.action === 'executeReorder') {
-    // Retrieve the plan from storage to execute it
-    chrome.storage.local.get('reorder_status', (data) => {
-      if (data.reorder_status && data.reorder_status.plan) {
-        executeReorder(data.reorder_status.plan);
-        sendResponse({ status: 'executing' });
+    // A keyboard shortcut can ask for this at any time, not only while a plan is shown.
+    confirmPlan(request.moveBackend).then(confirmed => {
+      sendResponse(confirmed ? { status: 'executing' } : { status: 'error', message: 'There is no plan to confirm.' });
+    });
+    return true; // Indicate async response
+  } else if (request.action === 'retryFailed') {
+    if (isReordering) {
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    // Runs the same plan again. Its moves are worked out against the page afresh, so only
+    // the entries that are still out of place are moved.
+    getStatus().then(status => {
+      if (!hasFailedMoves(status)) {
+        sendResponse({ status: 'error', message: 'There are no failed moves to retry.' });
+        return;
       }
+      const { plan, excluded, excludedPlacement } = status;
+      executeReorder(plan, { excluded, excludedPlacement, recordSnapshot: false, moveBackend: request.moveBackend });
+      sendResponse({ status: 'executing' });
     });
     return true; // Indicate async response
-  } else if (request.action === 'cancelReorder') {
+  } else if (request.action === 'updatePlan') {
+    updatePlan(request.plan, request.excluded).then(updated => {
+      sendResponse(updated ? { status: 'updated' } : { status: 'error', message: 'There is no plan to edit.' });
+    });
+    return true; // Indicate async response
+  } else if (request.action === 'resumeReorder') {
+    if (isReordering) {
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    resumeReorder();
+    sendResponse({ status: 'executing' });
+  } else if (request.action === 'discardRun') {
+    if (isReordering) {
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    discardRun().then(() => sendResponse({ status: 'discarded' }));
+    return true; // Indicate async response
+  } else if (request.action === 'undoReorder') {
     if (isReordering) {
-      isCancelled = true;
-      isReordering = false;
-      updateStatus('idle');
+      sendResponse({ status: 'error', message: 'An operation is already in progress.' });
+      return;
+    }
+    undoLastReorder(request.moveBackend);
+    sendResponse({ status: 'executing' });
+  } else if (request.action === 'getPlaylistId') {
+    sendResponse({ playlistId: getPlaylistId() });
+  } else if (request.action === 'getSnapshotInfo') {
+    const playlistId = getPlaylistId();
+    if (!playlistId) {
+      sendResponse({ count: 0 });
+      return;
+    }
+    getSnapshots(playlistId).then(history => {
+      const latest = history[history.length - 1];
+      sendResponse({ count: history.length, timestamp: latest ? latest.timestamp : null });
+    });
+    return true; // Indicate async response
+  } else if (request.action === 'pauseReorder') {
+    setPaused(Boolean(request.paused)).then(changed => {
+      sendResponse(changed ? { status: request.paused ? 'paused' : 'continuing' } : { status: 'error', message: 'There is no reorder running.' });
+    });
+    return true; // Indicate async response
+  } else if (request.action === 'cancelReorder') {
+    if (cancelOperation()) {
       sendResponse({ status: 'cancelling' });
+    } else {
+      sendResponse({ status: 'error', message: 'There is no operation to cancel.' });
     }
   }
 });
@@ -298,5 +1831,38 @@ if (typeof module !== 'undefined' && module.exports) {
     executeReorder,
     scrollToBottom, // Export for mocking
     verifyOrder,
+    getVideoId,
+    findVideoElement,
+    parseViewCount,
+    parseUploadAge,
+    compareVideos,
+    normalizeSortKeys,
+    computeMoves,
+    buildTargetOrder,
+    buildLayout,
+    keepConsistentAnchors,
+    applyFilters,
+    parseDuration,
+    saveSnapshot,
+    getSnapshots,
+    undoLastReorder,
+    initializeStatus,
+    resumeReorder,
+    updatePlan,
+    shuffleVideos,
+    interleaveByChannel,
+    packSessions,
+    matchImportedEntries,
+    importOrder,
+    planVideoMove,
+    exportPlaylist,
+    moveWithRequest,
+    chooseMoveStrategies,
+    getExpectedVideoCount,
+    setPaused,
+    cancelOperation,
+    confirmPlan,
+    findMoveMenuItemByLabel,
+    findMoveMenuItemOnPage,
   };
 }
\ No newline at end of file
@@ -104,6 +104,965 @@ describe('content.js', () => {
     expect(result).toBe('Verification failed: Not all videos were found on the page after reordering.');
   });
 
+  // Helper function to create a mock video element linked to a video ID
+  const createMockVideoElementWithId = (title, videoId) => {
+    const videoEl = document.createElement('ytd-playlist-video-renderer');
+    const titleEl = document.createElement('a');
+    titleEl.id = 'video-title';
+    titleEl.setAttribute('href', `/watch?v=${videoId}&list=WL&index=1`);
+    titleEl.textContent = title;
+    videoEl.appendChild(titleEl);
+    return videoEl;
+  };
+
+  test('should compare by video ID when videos share a title', async () => {
+    const reorderPlan = [
+      { videoId: 'id2', title: 'Trailer' },
+      { videoId: 'id1', title: 'Trailer' },
+    ];
+
+    playlistContainer.appendChild(createMockVideoElementWithId('Trailer', 'id1'));
+    playlistContainer.appendChild(createMockVideoElementWithId('Trailer', 'id2'));
+
+    chrome.storage.local.get.mockResolvedValue({ reorder_status: { processed: 0 } });
+    const result = await content.verifyOrder(reorderPlan);
+
+    expect(result).toContain('Mismatch at position 1');
+    expect(result).toContain('Expected: "Trailer" (id2), but found: "Trailer" (id1)');
+  });
+
+  test('should find a video element by ID even if its title changed', () => {
+    playlistContainer.appendChild(createMockVideoElementWithId('Part 1', 'abc'));
+    const renamed = createMockVideoElementWithId('Part 1 (edited)', 'xyz');
+    playlistContainer.appendChild(renamed);
+
+    expect(content.findVideoElement({ videoId: 'xyz', title: 'Part 1' })).toBe(renamed);
+  });
+
+  describe('metadata parsing', () => {
+    test('parseViewCount should handle abbreviated, grouped and missing counts', () => {
+      expect(content.parseViewCount('1.2M views')).toBe(1200000);
+      expect(content.parseViewCount('12K views')).toBe(12000);
+      expect(content.parseViewCount('1,234 views')).toBe(1234);
+      expect(content.parseViewCount('1 view')).toBe(1);
+      expect(content.parseViewCount('No views')).toBe(0);
+      expect(content.parseViewCount('3 years ago')).toBeNull();
+    });
+
+    test('parseUploadAge should convert relative dates to seconds', () => {
+      expect(content.parseUploadAge('1 hour ago')).toBe(3600);
+      expect(content.parseUploadAge('Streamed 2 days ago')).toBe(172800);
+      expect(content.parseUploadAge('1.2M views')).toBeNull();
+    });
+
+    test('compareVideos should place missing values last in both directions', () => {
+      const withChannel = { channel: 'A' };
+      const withoutChannel = { channel: null };
+      expect(content.compareVideos(withChannel, withoutChannel, 'channel', 'asc')).toBeLessThan(0);
+      expect(content.compareVideos(withChannel, withoutChannel, 'channel', 'desc')).toBeLessThan(0);
+    });
+  });
+
+  describe('applyFilters', () => {
+    const videos = [
+      { title: 'Keynote: the future', channel: 'Conf TV', duration: 3600 },
+      { title: 'Quick tip #shorts', channel: 'Conf TV', duration: 45 },
+      { title: 'Deep dive talk', channel: 'Other Channel', duration: 2400 },
+      { title: 'Vlog', channel: 'Someone', duration: 900 },
+    ];
+
+    test('should apply every filter and count the videos each one removed', () => {
+      const { kept, removedCounts } = content.applyFilters(videos, {
+        maxLength: 3000,
+        minLength: 60,
+        includeChannels: ['conf tv', 'Other Channel'],
+        excludeTitles: ['vlog'],
+      });
+      expect(kept.map(v => v.title)).toEqual(['Deep dive talk']);
+      expect(removedCounts).toEqual({ maxLength: 1, minLength: 1, includeChannels: 1, excludeTitles: 0 });
+    });
+
+    test('should support regular expression title rules', () => {
+      const { kept, removedCounts } = content.applyFilters(videos, { includeTitles: ['/^(keynote|deep)/i'], excludeChannels: ['Other Channel'] });
+      expect(kept.map(v => v.title)).toEqual(['Keynote: the future']);
+      expect(removedCounts).toEqual({ excludeChannels: 1, includeTitles: 2 });
+    });
+
+    test('should match every title with a global or sticky regular expression rule', () => {
+      const talks = ['Talk one', 'Talk two', 'Talk three'].map(title => ({ title, channel: 'Conf TV', duration: 600 }));
+      expect(content.applyFilters(talks, { includeTitles: ['/talk/gi'] }).kept.length).toBe(3);
+      expect(content.applyFilters(talks, { includeTitles: ['/Talk/y'] }).kept.length).toBe(3);
+    });
+
+    test('should reject an invalid regular expression', () => {
+      expect(() => content.applyFilters(videos, { excludeTitles: ['/([/'] })).toThrow('Invalid title pattern /([/');
+    });
+  });
+
+  // Backs chrome.storage.local with an in-memory store for the tests of a describe block
+  // and opens the given playlist URL. Returns a getter for the store.
+  const useMemoryStorage = (playlistUrl) => {
+    let store;
+
+    beforeEach(() => {
+      store = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = Object.fromEntries([].concat(keys).map(key => [key, store[key]]));
+        if (callback) callback(result);
+        return Promise.resolve(result);
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(store, items);
+        if (callback) callback();
+        return Promise.resolve();
+      });
+      chrome.storage.local.remove.mockImplementation((key) => {
+        delete store[key];
+        return Promise.resolve();
+      });
+      // The background worker reports no operation on the playlist in another tab.
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (callback) callback({ otherTab: false });
+      });
+      window.history.pushState({}, '', playlistUrl);
+    });
+
+    afterEach(() => {
+      chrome.storage.local.get.mockReset();
+      chrome.storage.local.set.mockReset();
+      chrome.storage.local.remove.mockReset();
+      chrome.runtime.sendMessage.mockReset();
+      window.history.pushState({}, '', '/');
+    });
+
+    return () => store;
+  };
+
+  // Adds the playlist container that execution looks for
+  const addPlaylistContainer = () => {
+    window.scrollTo = jest.fn();
+    Element.prototype.scrollIntoView = jest.fn(); // jsdom has no layout to scroll
+    const listRenderer = document.createElement('ytd-playlist-video-list-renderer');
+    const contents = document.createElement('div');
+    contents.id = 'contents';
+    listRenderer.appendChild(contents);
+    document.body.appendChild(listRenderer);
+  };
+
+  describe('loading the playlist', () => {
+    const addHeader = (html) => {
+      const header = document.createElement('div');
+      header.innerHTML = html;
+      document.body.appendChild(header);
+    };
+
+    test('getExpectedVideoCount should read the count from the playlist header', () => {
+      expect(content.getExpectedVideoCount()).toBeNull();
+
+      addHeader('<yt-page-header-view-model><yt-content-metadata-view-model>Playlist • 3.012 Videos • 10 views</yt-content-metadata-view-model></yt-page-header-view-model>');
+      expect(content.getExpectedVideoCount()).toBe(3012);
+
+      addHeader('<ytd-playlist-byline-renderer><yt-formatted-string>1,234 videos</yt-formatted-string></ytd-playlist-byline-renderer>');
+      expect(content.getExpectedVideoCount()).toBe(1234);
+    });
+
+    test('scrollToBottom should keep loading until the continuation item is gone', async () => {
+      addPlaylistContainer();
+      const contents = document.querySelector('ytd-playlist-video-list-renderer #contents');
+      const continuation = document.createElement('ytd-continuation-item-renderer');
+      contents.appendChild(continuation);
+      // Each scroll loads two more rows, until six are there.
+      window.scrollTo = jest.fn(() => {
+        if (!continuation.isConnected) return;
+        playlistContainer.append(createMockVideoElement('Row'), createMockVideoElement('Row'));
+        if (playlistContainer.children.length >= 6) continuation.remove();
+      });
+      const onProgress = jest.fn();
+
+      const result = await content.scrollToBottom(onProgress);
+
+      expect(result).toEqual({ loaded: 6, stalled: false });
+      expect(onProgress.mock.calls.map(call => call[0])).toEqual([2, 4, 6]);
+    }, 15000);
+
+    test('should warn when fewer videos were loaded than the header lists', async () => {
+      addHeader('<ytd-playlist-byline-renderer><yt-formatted-string>5 videos</yt-formatted-string></ytd-playlist-byline-renderer>');
+      ['A', 'B', 'C'].forEach(title => playlistContainer.appendChild(createMockVideoElement(title)));
+
+      await content.generateReorderPlan('asc', 0);
+
+      const preview = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview')[0].reorder_status;
+      expect(preview.loadWarning).toBe('Loaded 3 of the 5 videos the playlist lists. Hidden or unavailable videos can account for the difference.');
+    });
+  });
+
+  describe('snapshots and undo', () => {
+    const getStore = useMemoryStorage('/playlist?list=PL123');
+
+    test('saveSnapshot should keep only the last five snapshots per playlist', async () => {
+      for (let i = 0; i < 7; i++) {
+        await content.saveSnapshot('PL123', [{ videoId: `v${i}`, title: `Video ${i}`, duration: 60 }]);
+      }
+      await content.saveSnapshot('WL', [{ videoId: 'w', title: 'Other playlist' }]);
+
+      const history = await content.getSnapshots('PL123');
+      expect(history.length).toBe(5);
+      expect(history[0].videos).toEqual([{ videoId: 'v2' }]);
+      expect((await content.getSnapshots('WL')).length).toBe(1);
+    });
+
+    test('saveSnapshot should keep the playlists changed most recently', async () => {
+      for (let i = 0; i < 21; i++) {
+        await content.saveSnapshot(`PL${i}`, [{ videoId: 'a', title: 'A' }]);
+      }
+      await content.saveSnapshot('PL0', [{ videoId: null, title: 'No link' }]);
+      await content.saveSnapshot('PL22', [{ videoId: 'a', title: 'A' }]);
+
+      const kept = Object.keys(getStore().reorder_snapshots);
+      expect(kept.length).toBe(20);
+      expect(kept).not.toContain('PL1');
+      expect(kept).not.toContain('PL2');
+      expect((await content.getSnapshots('PL0'))[0].videos).toEqual([{ title: 'No link' }]);
+    });
+
+    test('undoLastReorder should report an error when there is nothing to undo', async () => {
+      const restored = await content.undoLastReorder();
+
+      expect(restored).toBe(false);
+      expect(getStore()['reorder_status:PL123'].state).toBe('error');
+      expect(getStore()['reorder_status:PL123'].message).toBe('Undo failed: There is no reorder to undo for this playlist.');
+    });
+
+    test('undoLastReorder should keep the snapshot if the restore fails', async () => {
+      await content.saveSnapshot('PL123', [{ videoId: 'a', title: 'A' }]);
+
+      // No playlist container on the page, so the restore cannot run.
+      const restored = await content.undoLastReorder();
+
+      expect(restored).toBe(false);
+      expect((await content.getSnapshots('PL123')).length).toBe(1);
+    });
+
+    test('undoLastReorder should restore the order and drop the used snapshot', async () => {
+      // Arrange: the page already shows the snapshot order, so no moves are needed.
+      addPlaylistContainer();
+      playlistContainer.appendChild(createMockVideoElementWithId('First', 'a'));
+      playlistContainer.appendChild(createMockVideoElementWithId('Second', 'b'));
+      await content.saveSnapshot('PL123', [{ videoId: 'x', title: 'Old' }]);
+      await content.saveSnapshot('PL123', [{ videoId: 'a', title: 'First' }, { videoId: 'gone', title: 'Removed since' }, { videoId: 'b', title: 'Second' }]);
+
+      // Act
+      const restored = await content.undoLastReorder();
+
+      // Assert
+      expect(restored).toBe(true);
+      expect(getStore()['reorder_status:PL123'].state).toBe('complete');
+      const history = await content.getSnapshots('PL123');
+      expect(history.map(snapshot => snapshot.videos[0].videoId)).toEqual(['x']);
+    }, 15000);
+  });
+
+  describe('cancelling', () => {
+    const getStore = useMemoryStorage('/playlist?list=PL123');
+
+    test('a plan cancelled in the preview should not stop the next one', async () => {
+      addPlaylistContainer();
+      playlistContainer.appendChild(createMockVideoElementWithId('First', 'a'));
+      playlistContainer.appendChild(createMockVideoElementWithId('Second', 'b'));
+      const entries = [{ videoId: 'a', title: '' }, { videoId: 'b', title: '' }];
+
+      await content.importOrder(entries);
+      expect(content.cancelOperation()).toBe(true);
+      await content.importOrder(entries);
+      const { plan } = getStore()['reorder_status:PL123'];
+      const result = await content.executeReorder(plan);
+
+      expect(result).toBe(true);
+      expect(getStore()['reorder_status:PL123'].state).toBe('complete');
+    }, 15000);
+
+    test('cancelling while the playlist loads should stop loading and show no plan', async () => {
+      addPlaylistContainer();
+      const contents = document.querySelector('ytd-playlist-video-list-renderer #contents');
+      contents.appendChild(document.createElement('ytd-continuation-item-renderer'));
+      playlistContainer.appendChild(createMockVideoElementWithId('First', 'a'));
+      // The list never ends, so only the cancel stops the loading.
+      window.scrollTo = jest.fn(() => {
+        playlistContainer.appendChild(createMockVideoElementWithId('More', 'm'));
+        if (window.scrollTo.mock.calls.length === 2) content.cancelOperation();
+      });
+
+      await content.generateReorderPlan('asc', 0);
+
+      expect(window.scrollTo).toHaveBeenCalledTimes(2);
+      expect(getStore()['reorder_status:PL123'].state).toBe('idle');
+      const states = chrome.storage.local.set.mock.calls.map(call => call[0]['reorder_status:PL123'] && call[0]['reorder_status:PL123'].state);
+      expect(states).not.toContain('preview');
+    }, 15000);
+  });
+
+  describe('interrupted runs', () => {
+    const getStore = useMemoryStorage('/playlist?list=WL');
+
+    const run = (playlistId, cursor) => ({
+      playlistId,
+      plan: [{ videoId: 'a', title: 'A' }],
+      excluded: [],
+      excludedPlacement: 'below',
+      moves: [{ video: { videoId: 'a', title: 'A' }, direction: 'top' }, { video: { videoId: 'b', title: 'B' }, direction: 'bottom' }],
+      cursor,
+    });
+
+    test('initializeStatus should offer an unfinished run of the current playlist for resuming', async () => {
+      getStore()['reorder_run:WL'] = run('WL', 1);
+
+      await content.initializeStatus();
+
+      expect(getStore()['reorder_status:WL'].state).toBe('interrupted');
+      expect(getStore()['reorder_status:WL'].processed).toBe(1);
+      expect(getStore()['reorder_status:WL'].total).toBe(2);
+    });
+
+    test('initializeStatus should reset to idle when the unfinished run belongs to another playlist', async () => {
+      getStore()['reorder_run:PLother'] = run('PLother', 1);
+
+      await content.initializeStatus();
+
+      expect(getStore()['reorder_status:WL'].state).toBe('idle');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'content', action: 'statusChanged', playlistId: 'WL', state: 'idle' }, expect.any(Function));
+      expect(getStore()['reorder_run:PLother']).toBeDefined();
+    });
+
+    test('initializeStatus should leave the status alone while another tab works on the playlist', async () => {
+      getStore()['reorder_status:WL'] = { state: 'reordering', processed: 3, total: 9 };
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ otherTab: true }));
+
+      await content.initializeStatus();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'content', action: 'getOperationOwner', playlistId: 'WL' }, expect.any(Function));
+      expect(getStore()['reorder_status:WL']).toEqual({ state: 'reordering', processed: 3, total: 9 });
+    });
+
+    test('should offer an unfinished run again after navigating to its playlist within the page', async () => {
+      getStore()['reorder_run:WL'] = run('WL', 1);
+
+      document.dispatchEvent(new Event('yt-navigate-finish'));
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(getStore()['reorder_status:WL']).toMatchObject({ state: 'interrupted', processed: 1, total: 2 });
+    });
+
+    test('should give up the playlist it left when navigating to another one within the page', async () => {
+      await content.initializeStatus();
+      chrome.runtime.sendMessage.mockClear();
+      window.history.pushState({}, '', '/playlist?list=PLnext');
+
+      document.dispatchEvent(new Event('yt-navigate-finish'));
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'content', action: 'statusChanged', playlistId: 'WL', state: 'idle' }, expect.any(Function));
+      expect(getStore()['reorder_status:WL'].state).toBe('idle');
+      expect(getStore()['reorder_status:PLnext'].state).toBe('idle');
+    });
+
+    test('status updates are stored per playlist and reported to the background worker', async () => {
+      getStore()['reorder_run:WL'] = run('WL', 1);
+
+      await content.initializeStatus();
+
+      expect(getStore().reorder_status).toBeUndefined();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'content', action: 'statusChanged', playlistId: 'WL', state: 'interrupted' }, expect.any(Function));
+    });
+
+    test('resumeReorder should skip the moves that were already done', async () => {
+      // Arrange: the first move is done, the second video is no longer in the playlist
+      addPlaylistContainer();
+      playlistContainer.appendChild(createMockVideoElementWithId('A', 'a'));
+      getStore()['reorder_run:WL'] = run('WL', 1);
+
+      // Act
+      await content.resumeReorder();
+
+      // Assert
+      expect(getStore()['reorder_status:WL'].state).toBe('complete');
+      expect(getStore()['reorder_status:WL'].summary).toMatchObject({
+        moved: 0,
+        failed: [],
+        skipped: [{ video: { videoId: 'b', title: 'B' }, direction: 'bottom', reason: 'No longer in the playlist.' }],
+      });
+      expect(getStore()['reorder_run:WL']).toBeUndefined();
+    }, 15000);
+  });
+
+  describe('edit request moves', () => {
+    const getStore = useMemoryStorage('/playlist?list=PL9');
+    let pageRequests;
+    let answerPage;
+
+    // Stands in for page_api.js: answers each request from content.js with `answerPage`.
+    const onPageRequest = (event) => {
+      if (!event.data || event.data.source !== 'yt-playlist-reorder-content') return;
+      pageRequests.push(event.data.payload);
+      const answer = answerPage(event.data.payload, pageRequests.length);
+      window.dispatchEvent(new MessageEvent('message', {
+        source: window,
+        data: { source: 'yt-playlist-reorder-page', id: event.data.id, ...answer },
+      }));
+    };
+
+    beforeEach(() => {
+      pageRequests = [];
+      answerPage = () => ({ ok: true, result: { moved: true } });
+      document.documentElement.dataset.playlistReorderApi = 'ready';
+      window.addEventListener('message', onPageRequest);
+      addPlaylistContainer();
+      ['c', 'a', 'b'].forEach(id => playlistContainer.appendChild(createMockVideoElementWithId(id.toUpperCase(), id)));
+    });
+
+    afterEach(() => {
+      window.removeEventListener('message', onPageRequest);
+      delete document.documentElement.dataset.playlistReorderApi;
+      document.dispatchEvent(new Event('yt-navigate-finish'));
+    });
+
+    const plan = [{ videoId: 'a', title: 'A' }, { videoId: 'b', title: 'B' }, { videoId: 'c', title: 'C' }];
+
+    test('should move with edit requests and track the order the server now has', async () => {
+      const result = await content.executeReorder(plan, { moveBackend: 'request' });
+
+      expect(result).toBe(true);
+      expect(pageRequests).toEqual([
+        { playlistId: 'PL9', video: { videoId: 'c' }, predecessor: { videoId: 'b' } },
+      ]);
+      expect(getStore()['reorder_status:PL9']).toMatchObject({ state: 'complete', message: 'Reordered with edit requests. Reload the page to see the new order.' });
+      expect(getStore()['reorder_run:PL9']).toBeUndefined();
+
+      // The page still shows the old order, so it cannot be planned against until reloaded.
+      await content.generateReorderPlan('asc', 0);
+      expect(getStore()['reorder_status:PL9']).toMatchObject({ state: 'error', message: 'The page does not show the new order yet. Reload it first.' });
+    });
+
+    test('moveWithRequest should name the entry above the bottom slot as predecessor', async () => {
+      const order = [{ videoId: 'x', title: 'X' }, { videoId: 'y', title: 'Y' }, { videoId: 'z', title: 'Z' }];
+
+      await content.moveWithRequest('PL9', order, { videoId: 'z', title: 'Z' }, 'top');
+      await content.moveWithRequest('PL9', order, { videoId: 'z', title: 'Z' }, 'bottom');
+
+      expect(pageRequests.map(request => request.predecessor)).toEqual([null, { videoId: 'y' }]);
+      expect(order.map(video => video.videoId)).toEqual(['x', 'y', 'z']);
+    });
+
+    test('should fall back to menu clicks when the first edit request fails', async () => {
+      answerPage = () => ({ ok: false, error: 'The page has no session data.' });
+
+      await content.executeReorder(plan, { moveBackend: 'request' });
+
+      // One failed request, then the strategies that work on the page were tried in turn.
+      expect(pageRequests.length).toBe(1);
+      const status = getStore()['reorder_status:PL9'];
+      expect(status).toMatchObject({ state: 'complete', message: '1 move failed.' });
+      expect(status.summary.failed).toEqual([{
+        video: { videoId: 'c', title: 'C' },
+        direction: 'bottom',
+        reason: 'Could not move "C" (c). "Move to bottom": Could not find menu button for video.; drag and drop: Could not find the drag handle for video.',
+      }]);
+    }, 15000);
+
+    test('should hand a half-done run over to a reloaded page when requests stop working', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {}); // jsdom cannot reload
+      const longPlan = [{ videoId: 'b', title: 'B' }, { videoId: 'a', title: 'A' }, { videoId: 'c', title: 'C' }];
+      answerPage = (payload, count) => (count === 1 ? { ok: true, result: { moved: true } } : { ok: false, error: 'HTTP 401' });
+
+      const result = await content.executeReorder(longPlan, { moveBackend: 'request' });
+
+      expect(result).toBe(false);
+      expect(getStore()['reorder_status:PL9']).toMatchObject({ state: 'interrupted', processed: 1, total: 2 });
+      expect(getStore()['reorder_run:PL9']).toMatchObject({ cursor: 1, moveBackend: 'menu' });
+      // Only the IDs of the videos are stored.
+      expect(getStore()['reorder_run:PL9'].plan).toEqual([{ videoId: 'b' }, { videoId: 'a' }, { videoId: 'c' }]);
+      expect(getStore()['reorder_run:PL9'].moves.map(move => move.video)).toEqual([{ videoId: 'a' }, { videoId: 'c' }]);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('move strategies', () => {
+    const getStore = useMemoryStorage('/playlist?list=PL7');
+    let contents;
+    let menuLabels;
+    let dragged;
+
+    // A row with a menu that offers `menuLabels` and a drag handle, like YouTube's.
+    const createRow = (id) => {
+      const row = createMockVideoElementWithId(id.toUpperCase(), id);
+      const menu = document.createElement('div');
+      menu.id = 'menu';
+      const button = document.createElement('button');
+      button.addEventListener('click', () => {
+        menuLabels.forEach(label => {
+          const item = document.createElement('ytd-menu-service-item-renderer');
+          item.textContent = label;
+          item.addEventListener('click', () => {
+            if (label === 'Move to top') contents.prepend(row);
+            if (label === 'Move to bottom') contents.append(row);
+          });
+          document.body.appendChild(item);
+        });
+      });
+      menu.appendChild(button);
+      const handle = document.createElement('div');
+      handle.id = 'reorder';
+      row.append(menu, handle);
+      return row;
+    };
+
+    const onMouseDown = (event) => { dragged = event.target.closest('ytd-playlist-video-renderer'); };
+    const onMouseUp = (event) => {
+      // jsdom has no layout, so every row is at 0 and the drop side is all that is left.
+      if (dragged && event.clientY > 0) contents.append(dragged);
+      if (dragged && event.clientY < 0) contents.prepend(dragged);
+      dragged = null;
+    };
+
+    beforeEach(() => {
+      document.querySelectorAll = Document.prototype.querySelectorAll.bind(document);
+      menuLabels = ['Move to top'];
+      addPlaylistContainer();
+      contents = document.querySelector('ytd-playlist-video-list-renderer #contents');
+      ['c', 'a', 'b'].forEach(id => contents.appendChild(createRow(id)));
+      document.addEventListener('mousedown', onMouseDown);
+      document.addEventListener('mouseup', onMouseUp);
+    });
+
+    afterEach(() => {
+      document.removeEventListener('mousedown', onMouseDown);
+      document.removeEventListener('mouseup', onMouseUp);
+    });
+
+    test('chooseMoveStrategies should offer the cheapest strategy first and drop the ones that keep failing', () => {
+      const context = { run: { moveBackend: 'menu' }, requestMoves: 0, failures: {} };
+      const move = { video: { videoId: 'c', title: 'C' }, direction: 'bottom' };
+
+      expect(content.chooseMoveStrategies(move, context).map(strategy => strategy.name)).toEqual(['"Move to bottom"', 'drag and drop']);
+
+      context.failures['"Move to bottom"'] = 1;
+      expect(content.chooseMoveStrategies(move, context).map(strategy => strategy.name)).toEqual(['drag and drop', '"Move to bottom"']);
+
+      // After an edit request the page is out of date, so only further requests can move entries.
+      const requestContext = { run: { moveBackend: 'request' }, requestMoves: 1, failures: {} };
+      expect(content.chooseMoveStrategies(move, requestContext).map(strategy => strategy.name)).toEqual(['edit request']);
+    });
+
+    test('should fall back to dragging when the menu has no entry for the move', async () => {
+      const result = await content.executeReorder([{ videoId: 'a', title: 'A' }, { videoId: 'b', title: 'B' }, { videoId: 'c', title: 'C' }]);
+
+      expect(result).toBe(true);
+      expect(Array.from(contents.children).map(row => content.getVideoId(row))).toEqual(['a', 'b', 'c']);
+      expect(getStore()['reorder_status:PL7'].state).toBe('complete');
+    }, 15000);
+
+    const removeDragHandles = () => contents.querySelectorAll('#reorder').forEach(handle => handle.remove());
+
+    test('should retry a move that failed and count it in the summary', async () => {
+      removeDragHandles();
+      menuLabels = [];
+      setTimeout(() => { menuLabels = ['Move to top']; }, 600); // before the first retry
+
+      const result = await content.executeReorder([{ videoId: 'b', title: 'B' }, { videoId: 'c', title: 'C' }, { videoId: 'a', title: 'A' }]);
+
+      expect(result).toBe(true);
+      expect(getStore()['reorder_status:PL7'].summary).toMatchObject({ moved: 1, skipped: [], failed: [], retried: 1 });
+      expect(getStore()['reorder_status:PL7'].summary.elapsed).toBeGreaterThan(0);
+    }, 15000);
+
+    test('should record moves that keep failing and retry them on request', async () => {
+      removeDragHandles();
+      menuLabels = [];
+      const plan = [{ videoId: 'b', title: 'B' }, { videoId: 'c', title: 'C' }, { videoId: 'a', title: 'A' }];
+
+      const result = await content.executeReorder(plan);
+
+      expect(result).toBe(false);
+      const status = getStore()['reorder_status:PL7'];
+      expect(status).toMatchObject({ state: 'complete', message: '1 move failed.', plan });
+      expect(status.summary).toMatchObject({ moved: 0, retried: 0 });
+      expect(status.summary.failed.map(failure => failure.video.videoId)).toEqual(['b']);
+
+      // The plan is run again against the page without generating it anew.
+      menuLabels = ['Move to top'];
+      const sendResponse = jest.fn();
+      await chrome.runtime.onMessage.callListeners({ action: 'retryFailed' }, {}, sendResponse);
+      await new Promise(resolve => {
+        const check = setInterval(() => {
+          if (getStore()['reorder_status:PL7'].state !== 'reordering') {
+            clearInterval(check);
+            resolve();
+          }
+        }, 100);
+      });
+
+      expect(sendResponse).toHaveBeenCalledWith({ status: 'executing' });
+      expect(getStore()['reorder_status:PL7']).toMatchObject({ state: 'complete', summary: { moved: 1, failed: [] } });
+      expect(Array.from(contents.children).map(row => content.getVideoId(row))).toEqual(['b', 'c', 'a']);
+    }, 20000);
+
+    const waitFor = condition => new Promise(resolve => {
+      const check = setInterval(() => {
+        if (condition()) {
+          clearInterval(check);
+          resolve();
+        }
+      }, 50);
+    });
+
+    test('should show progress on the page and pause from the panel', async () => {
+      menuLabels = ['Move to top', 'Move to bottom'];
+      const panel = () => document.getElementById('playlist-reorder-overlay');
+      const text = selector => panel().querySelector(selector).textContent;
+
+      // Two moves to the bottom: A, then C.
+      const running = content.executeReorder([{ videoId: 'b', title: 'B' }, { videoId: 'a', title: 'A' }, { videoId: 'c', title: 'C' }]);
+      await waitFor(() => panel() && text('.pro-detail') === 'Moving "A" (a)');
+      expect(text('.pro-stage')).toBe('Reordering');
+      expect(text('.pro-count')).toBe('0 / 2');
+
+      panel().querySelector('.pro-pause').click();
+      await waitFor(() => getStore()['reorder_status:PL7'].message === 'Paused.');
+      expect(getStore()['reorder_status:PL7']).toMatchObject({ processed: 1, paused: true });
+      expect(text('.pro-stage')).toBe('Paused');
+      expect(text('.pro-pause')).toBe('Continue');
+
+      panel().querySelector('.pro-pause').click();
+      await expect(running).resolves.toBe(true);
+      expect(text('.pro-stage')).toBe('Done');
+      expect(panel().querySelector('.pro-pause').hidden).toBe(true);
+      expect(panel().querySelector('.pro-close').hidden).toBe(false);
+    }, 15000);
+
+    test('should run an edited plan in the order shown, even above an anchored entry', async () => {
+      getStore()['reorder_status:PL7'] = {
+        state: 'preview',
+        plan: [{ videoId: 'a', title: 'A', anchor: 'top' }, { videoId: 'b', title: 'B' }, { videoId: 'c', title: 'C' }],
+        excluded: [],
+        excludedPlacement: 'below',
+      };
+
+      // B dragged above the anchored A, as the popup sends it.
+      await content.updatePlan([{ videoId: 'b', title: 'B' }, { videoId: 'a', title: 'A', anchor: 'top' }, { videoId: 'c', title: 'C' }]);
+      const { plan, excluded, excludedPlacement } = getStore()['reorder_status:PL7'];
+      await content.executeReorder(plan, { excluded, excludedPlacement });
+
+      expect(Array.from(contents.children).map(row => content.getVideoId(row))).toEqual(['b', 'a', 'c']);
+    }, 20000);
+
+    test('should plan a single video move and confirm it from the panel', async () => {
+      const panel = () => document.getElementById('playlist-reorder-overlay');
+
+      await content.planVideoMove('b', 'top');
+
+      expect(getStore()['reorder_status:PL7']).toMatchObject({ state: 'preview', excludedPlacement: 'below', moveCount: 1 });
+      expect(getStore()['reorder_status:PL7'].excluded.map(video => video.videoId)).toEqual(['c', 'a']);
+      expect(panel().querySelector('.pro-confirm').hidden).toBe(false);
+
+      panel().querySelector('.pro-confirm').click();
+      await waitFor(() => getStore()['reorder_status:PL7'].state === 'complete');
+      expect(Array.from(contents.children).map(row => content.getVideoId(row))).toEqual(['b', 'c', 'a']);
+      expect(panel().querySelector('.pro-confirm').hidden).toBe(true);
+    }, 20000);
+
+    test('should start a confirmed plan only once', async () => {
+      await content.planVideoMove('b', 'top');
+
+      const first = content.confirmPlan();
+      const second = content.confirmPlan();
+
+      expect(await first).toBe(true);
+      expect(await second).toBe(false);
+      await waitFor(() => getStore()['reorder_status:PL7'].state === 'complete');
+      expect(Array.from(contents.children).map(row => content.getVideoId(row))).toEqual(['b', 'c', 'a']);
+    }, 20000);
+
+    test('should report a video move for a video that is not in the playlist', async () => {
+      await content.planVideoMove('missing', 'bottom');
+
+      expect(getStore()['reorder_status:PL7']).toMatchObject({ state: 'error', message: 'The video is not in this playlist.' });
+    }, 15000);
+
+    test('should use the menu when it offers the move', async () => {
+      const result = await content.executeReorder([{ videoId: 'b', title: 'B' }, { videoId: 'c', title: 'C' }, { videoId: 'a', title: 'A' }]);
+
+      expect(result).toBe(true);
+      expect(Array.from(contents.children).map(row => content.getVideoId(row))).toEqual(['b', 'c', 'a']);
+    }, 15000);
+  });
+
+  describe('finding move menu items', () => {
+    const item = (text) => {
+      const element = document.createElement('ytd-menu-service-item-renderer');
+      element.textContent = text;
+      return element;
+    };
+
+    // Stands in for page_api.js, which reads the menu data content.js cannot see.
+    const answerLookup = (event) => {
+      if (!event.data || event.data.source !== 'yt-playlist-reorder-content') return;
+      window.dispatchEvent(new MessageEvent('message', {
+        source: window,
+        data: { source: 'yt-playlist-reorder-page', id: event.data.id, ok: true, result: event.data.payload.direction === 'top' ? 2 : -1 },
+      }));
+    };
+
+    afterEach(() => {
+      window.removeEventListener('message', answerLookup);
+      delete document.documentElement.dataset.playlistReorderApi;
+    });
+
+    test('should ask the page for the item, since only the page can read its data', async () => {
+      document.documentElement.dataset.playlistReorderApi = 'ready';
+      window.addEventListener('message', answerLookup);
+      // Earlier tests had no page script to answer, which turns the lookup off for the module.
+      let freshContent;
+      jest.isolateModules(() => { freshContent = require('./content'); });
+
+      await expect(freshContent.findMoveMenuItemOnPage('top')).resolves.toBe(2);
+      await expect(freshContent.findMoveMenuItemOnPage('bottom')).resolves.toBe(-1);
+    });
+
+    test('should fall back to the label table', () => {
+      const top = item('  一番上に移動 ');
+      const bottom = item('Mover al final');
+      expect(content.findMoveMenuItemByLabel([item('Eliminar'), top, bottom], 'top')).toBe(top);
+      expect(content.findMoveMenuItemByLabel([item('Eliminar'), top, bottom], 'bottom')).toBe(bottom);
+      expect(content.findMoveMenuItemByLabel([item('Eliminar')], 'top')).toBeUndefined();
+    });
+  });
+
+  describe('updatePlan', () => {
+    const getStore = useMemoryStorage('/playlist?list=WL');
+
+    test('should write an edited plan back with a recomputed move count', async () => {
+      // Arrange
+      playlistContainer.appendChild(createMockVideoElementWithId('A', 'a'));
+      playlistContainer.appendChild(createMockVideoElementWithId('B', 'b'));
+      playlistContainer.appendChild(createMockVideoElementWithId('C', 'c'));
+      getStore()['reorder_status:WL'] = { state: 'preview', plan: [], excludedPlacement: 'below', filterCounts: { maxLength: 1 } };
+      const plan = [{ videoId: 'c', title: 'C' }, { videoId: 'a', title: 'A', pinned: true }];
+
+      // Act
+      const updated = await content.updatePlan(plan, [{ videoId: 'b', title: 'B' }]);
+
+      // Assert
+      const status = getStore()['reorder_status:WL'];
+      expect(updated).toBe(true);
+      expect(status.plan).toEqual(plan);
+      expect(status.total).toBe(2);
+      expect(status.moveCount).toBe(1);
+      expect(status.filterCounts).toEqual({ maxLength: 1 });
+    });
+
+    test('should keep the anchors the edited order agrees with', async () => {
+      getStore()['reorder_status:WL'] = { state: 'preview', plan: [], excludedPlacement: 'below' };
+      const plan = [{ videoId: 'a', title: 'A' }, { videoId: 'gone', title: 'Gone', anchor: 'bottom' }];
+
+      // A row was removed, which leaves the order of the others as it was.
+      await content.updatePlan(plan, [{ videoId: 'b', title: 'B' }]);
+
+      expect(getStore()['reorder_status:WL'].plan).toEqual(plan);
+    });
+
+    test('keepConsistentAnchors should drop only the anchors of entries placed away from their end', () => {
+      const plan = [
+        { videoId: 'live', anchor: 'top' },
+        { videoId: 'a' },
+        { videoId: 'premiere', anchor: 'top' },
+        { videoId: 'gone', anchor: 'bottom' },
+        { videoId: 'b' },
+        { videoId: 'private', anchor: 'bottom' },
+      ];
+
+      expect(content.keepConsistentAnchors(plan)).toEqual([
+        { videoId: 'live', anchor: 'top' },
+        { videoId: 'a' },
+        { videoId: 'premiere' },
+        { videoId: 'gone' },
+        { videoId: 'b' },
+        { videoId: 'private', anchor: 'bottom' },
+      ]);
+    });
+
+    test('should ignore edits when no preview is pending', async () => {
+      getStore()['reorder_status:WL'] = { state: 'reordering' };
+      expect(await content.updatePlan([{ videoId: 'a', title: 'A' }])).toBe(false);
+      expect(getStore()['reorder_status:WL']).toEqual({ state: 'reordering' });
+    });
+  });
+
+  describe('computeMoves', () => {
+    const videos = ids => ids.map(id => ({ videoId: id, title: id }));
+    const describeMoves = moves => moves.map(m => `${m.direction}:${m.video.videoId}`);
+
+    test('should return no moves when the playlist is already in order', () => {
+      expect(content.computeMoves(videos(['a', 'b', 'c']), videos(['a', 'b', 'c']))).toEqual([]);
+    });
+
+    test('should move a single misplaced video to the top', () => {
+      const moves = content.computeMoves(videos(['b', 'c', 'd', 'a']), videos(['a', 'b', 'c', 'd']));
+      expect(describeMoves(moves)).toEqual(['top:a']);
+    });
+
+    test('should move a single misplaced video to the bottom when that is cheaper', () => {
+      const moves = content.computeMoves(videos(['d', 'a', 'b', 'c']), videos(['a', 'b', 'c', 'd']));
+      expect(describeMoves(moves)).toEqual(['bottom:d']);
+    });
+
+    test('should keep the longest in-order block and move the rest around it', () => {
+      const moves = content.computeMoves(videos(['e', 'b', 'c', 'd', 'a', 'f']), videos(['a', 'b', 'c', 'd', 'e', 'f']));
+      expect(describeMoves(moves)).toEqual(['top:a', 'bottom:e', 'bottom:f']);
+    });
+
+    test('should move top entries in reverse order so they end up in plan order', () => {
+      const moves = content.computeMoves(videos(['c', 'd', 'b', 'a']), videos(['a', 'b', 'c', 'd']));
+      expect(describeMoves(moves)).toEqual(['top:b', 'top:a']);
+    });
+
+    test('buildLayout should place excluded videos according to the placement setting', () => {
+      const plan = [{ videoId: 'c', position: 2 }, { videoId: 'a', position: 0 }];
+      const excluded = [{ videoId: 'b', position: 1 }, { videoId: 'd', position: 3 }];
+      const ids = layout => layout.map(v => v.videoId);
+      expect(ids(content.buildLayout(plan, excluded, 'below'))).toEqual(['c', 'a', 'b', 'd']);
+      expect(ids(content.buildLayout(plan, excluded, 'above'))).toEqual(['b', 'd', 'c', 'a']);
+      expect(ids(content.buildLayout(plan, excluded, 'inPlace'))).toEqual(['c', 'b', 'a', 'd']);
+    });
+
+    test('buildLayout should keep anchored entries at the very top and bottom', () => {
+      const plan = [{ videoId: 'live', anchor: 'top' }, { videoId: 'a' }, { videoId: 'gone', anchor: 'bottom' }];
+      const excluded = [{ videoId: 'x' }];
+      const ids = layout => layout.map(v => v.videoId);
+      expect(ids(content.buildLayout(plan, excluded, 'below'))).toEqual(['live', 'a', 'x', 'gone']);
+      expect(ids(content.buildLayout(plan, excluded, 'above'))).toEqual(['live', 'x', 'a', 'gone']);
+    });
+
+    test('buildLayout should count in-place positions from the top of the playlist', () => {
+      const plan = [{ videoId: 'live', anchor: 'top' }, { videoId: 'b' }];
+      const excluded = [{ videoId: 'a', position: 1 }];
+      expect(content.buildLayout(plan, excluded, 'inPlace').map(v => v.videoId)).toEqual(['live', 'a', 'b']);
+    });
+
+    test('parseDuration should return null for badges and empty overlays', () => {
+      expect(content.parseDuration('1:02:03')).toBe(3723);
+      expect(content.parseDuration('4:05')).toBe(245);
+      expect(content.parseDuration('LIVE')).toBeNull();
+      expect(content.parseDuration('')).toBeNull();
+    });
+
+    test('parseDuration should read overlays from other interface languages', () => {
+      expect(content.parseDuration('１２：３４')).toBe(754); // full-width
+      expect(content.parseDuration('\u200F١:٠٢:٠٣')).toBe(3723); // Arabic-Indic digits with a direction mark
+      expect(content.parseDuration('۴:۰۵')).toBe(245); // Persian digits
+      expect(content.parseDuration('12.34')).toBe(754);
+      expect(content.parseDuration('EN DIRECT')).toBeNull();
+    });
+
+    test('buildTargetOrder should keep videos outside the plan below it in their current order', () => {
+      const target = content.buildTargetOrder(videos(['c', 'a']), videos(['a', 'b', 'c', 'd']));
+      expect(target.map(v => v.videoId)).toEqual(['c', 'a', 'b', 'd']);
+    });
+  });
+
+  describe('shuffleVideos', () => {
+    const videos = Array.from({ length: 8 }, (_, i) => ({ videoId: `v${i}`, title: `Video ${i}`, duration: [60, 2400, 900, 120, 3600, 1200, 300, 30][i], position: i }));
+    const ids = list => list.map(v => v.videoId);
+
+    test('should give the same order for the same seed regardless of the current order', () => {
+      const first = content.shuffleVideos(videos, 42);
+      const again = content.shuffleVideos([...videos].reverse(), 42);
+      expect(ids(again)).toEqual(ids(first));
+      expect(ids(first).sort()).toEqual(ids(videos));
+      expect(ids(content.shuffleVideos(videos, 43))).not.toEqual(ids(first));
+    });
+
+    test('should keep shorter duration bands first when shuffling within bands', () => {
+      const bands = content.shuffleVideos(videos, 7, true).map(v => (v.duration < 600 ? 0 : v.duration < 1800 ? 1 : 2));
+      expect(bands).toEqual([0, 0, 0, 0, 1, 1, 2, 2]);
+    });
+  });
+
+  describe('interleaveByChannel', () => {
+    test('should take turns between channels and keep each channel in order', () => {
+      const videos = [
+        { title: 'A1', channel: 'Alpha' },
+        { title: 'A2', channel: 'alpha ' },
+        { title: 'A3', channel: 'Alpha' },
+        { title: 'B1', channel: 'Beta' },
+        { title: 'C1', channel: 'Gamma' },
+        { title: 'B2', channel: 'Beta' },
+      ];
+      expect(content.interleaveByChannel(videos).map(v => v.title)).toEqual(['A1', 'B1', 'C1', 'A2', 'B2', 'A3']);
+    });
+  });
+
+  describe('packSessions', () => {
+    const titlesBySession = plan => plan.reduce((sessions, video) => {
+      const key = video.session || 'none';
+      (sessions[key] = sessions[key] || []).push(video.title);
+      return sessions;
+    }, {});
+
+    test('should fill each session as closely as possible without going over', () => {
+      const videos = [
+        { title: 'A', duration: 1500 },
+        { title: 'B', duration: 1000 },
+        { title: 'C', duration: 1200 },
+        { title: 'D', duration: 600 },
+        { title: 'E', duration: 400 },
+      ];
+      const plan = content.packSessions(videos, 2700);
+      expect(titlesBySession(plan)).toEqual({ 1: ['A', 'C'], 2: ['B', 'D', 'E'] });
+    });
+
+    test('should pack a playlist of thousands of videos without going over any session', () => {
+      const videos = Array.from({ length: 3000 }, (_, i) => ({ title: `V${i}`, duration: 60 + ((i * 7919) % 1800) }));
+      const plan = content.packSessions(videos, 2700);
+
+      expect(plan.length).toBe(3000);
+      const totals = plan.reduce((sums, video) => {
+        sums[video.session] = (sums[video.session] || 0) + video.duration;
+        return sums;
+      }, {});
+      expect(Math.max(...Object.values(totals))).toBeLessThanOrEqual(2700);
+    });
+
+    test('should give over-long videos their own session and put unknown durations last', () => {
+      const videos = [
+        { title: 'Movie', duration: 6000 },
+        { title: 'Clip', duration: 300 },
+        { title: 'Live', duration: null },
+      ];
+      const plan = content.packSessions(videos, 2700);
+      expect(plan.map(v => [v.title, v.session])).toEqual([['Clip', 1], ['Movie', 2], ['Live', undefined]]);
+    });
+  });
+
+  describe('matchImportedEntries', () => {
+    test('should match by video ID, fall back to title, and use each video once', () => {
+      const videos = [
+        { videoId: 'a', title: 'Alpha' },
+        { videoId: 'b', title: 'Beta' },
+        { videoId: 'b', title: 'Beta' },
+        { videoId: 'c', title: 'Gamma' },
+      ];
+      const { matched, unmatched, remaining } = content.matchImportedEntries([
+        { videoId: 'b', title: '' },
+        { videoId: null, title: '  alpha ' },
+        { videoId: 'b', title: 'Beta' },
+        { videoId: 'b', title: 'Beta' },
+        { videoId: 'zzz', title: 'Gamma' },
+      ], videos);
+      expect(matched).toEqual([videos[1], videos[0], videos[2]]);
+      expect(unmatched).toEqual([{ videoId: 'b', title: 'Beta' }, { videoId: 'zzz', title: 'Gamma' }]);
+      expect(remaining).toEqual([videos[3]]);
+    });
+  });
+
   describe('generateReorderPlan', () => {
     // Helper to create a video element with a specific duration
     const createVideoWithDuration = (title, durationSeconds) => {
@@ -144,6 +1103,181 @@ describe('content.js', () => {
       expect(plan[1].title).toBe('Medium Video');
       expect(plan[2].title).toBe('Long Video');
       expect(plan.length).toBe(3);
+      expect(setCall[0].reorder_status.moveCount).toBe(1);
+    });
+
+    test('should shuffle with the given seed and report it in the preview', async () => {
+      ['A', 'B', 'C', 'D', 'E'].forEach((title, i) => playlistContainer.appendChild(createVideoWithDuration(title, 60 * (i + 1))));
+
+      await content.generateReorderPlan('shuffle', 0, [{ key: 'duration', order: 'shuffle' }], { shuffleSeed: 99 });
+      await content.generateReorderPlan('shuffle', 0, [{ key: 'duration', order: 'shuffle' }], { shuffleSeed: 99 });
+
+      const previews = chrome.storage.local.set.mock.calls.filter(call => call[0].reorder_status.state === 'preview').map(call => call[0].reorder_status);
+      expect(previews[0].seed).toBe(99);
+      expect(previews[1].plan.map(v => v.title)).toEqual(previews[0].plan.map(v => v.title));
+    });
+
+    test('should preview an imported order and report the entries it could not match', async () => {
+      ['one', 'two', 'three'].forEach((videoId, i) => {
+        const videoEl = createVideoWithDuration(`Video ${videoId}`, 60 * (i + 1));
+        const link = document.createElement('a');
+        link.id = 'thumbnail';
+        link.setAttribute('href', `/watch?v=${videoId}&list=PL1`);
+        videoEl.appendChild(link);
+        playlistContainer.appendChild(videoEl);
+      });
+
+      await content.importOrder([{ videoId: 'three', title: '' }, { videoId: null, title: 'video one' }, { videoId: 'missing', title: 'Gone' }]);
+
+      const status = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview')[0].reorder_status;
+      expect(status.plan.map(v => v.videoId)).toEqual(['three', 'one']);
+      expect(status.excluded.map(v => v.videoId)).toEqual(['two']);
+      expect(status.unmatched).toEqual([{ videoId: 'missing', title: 'Gone' }]);
+    }, 15000);
+
+    test('should report an import that matches nothing', async () => {
+      playlistContainer.appendChild(createVideoWithDuration('Only', 60));
+
+      await content.importOrder([{ videoId: 'missing', title: 'Gone' }]);
+
+      const lastStatus = chrome.storage.local.set.mock.calls[chrome.storage.local.set.mock.calls.length - 1][0].reorder_status;
+      expect(lastStatus).toMatchObject({ state: 'error', message: 'None of the imported entries match a video in this playlist.' });
+    }, 15000);
+
+    test('should include the video ID of each entry in the plan', async () => {
+      // Arrange
+      const videoEl = createVideoWithDuration('Linked Video', 60);
+      const link = document.createElement('a');
+      link.id = 'thumbnail';
+      link.setAttribute('href', '/watch?v=dQw4w9WgXcQ&list=WL&index=1');
+      videoEl.appendChild(link);
+      playlistContainer.appendChild(videoEl);
+
+      // Act
+      await content.generateReorderPlan('asc', 0);
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      const plan = setCall[0].reorder_status.plan;
+      expect(plan[0]).toMatchObject({ videoId: 'dQw4w9WgXcQ', title: 'Linked Video', duration: 60 });
+    });
+
+    // Helper to add channel and video info metadata to a video element
+    const addMetadata = (videoEl, channel, views, age) => {
+      const channelEl = document.createElement('ytd-channel-name');
+      const channelText = document.createElement('span');
+      channelText.id = 'text';
+      channelText.textContent = channel;
+      channelEl.appendChild(channelText);
+      const infoEl = document.createElement('div');
+      infoEl.id = 'video-info';
+      [views, '•', age].forEach(text => {
+        const span = document.createElement('span');
+        span.textContent = text;
+        infoEl.appendChild(span);
+      });
+      videoEl.appendChild(channelEl);
+      videoEl.appendChild(infoEl);
+      return videoEl;
+    };
+
+    test('should sort by channel name', async () => {
+      // Arrange
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('Video 1', 60), 'zebra Channel', '10 views', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('Video 2', 60), 'Alpha Channel', '10 views', '1 day ago'));
+
+      // Act
+      await content.generateReorderPlan('asc', 0, 'channel');
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      const plan = setCall[0].reorder_status.plan;
+      expect(plan.map(v => v.channel)).toEqual(['Alpha Channel', 'zebra Channel']);
+    });
+
+    test('should interleave channels round-robin using the chosen key within each channel', async () => {
+      // Arrange
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('A long', 600), 'Alpha', '10 views', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('A short', 60), 'Alpha', '10 views', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('A mid', 120), 'Alpha', '10 views', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('B long', 900), 'Beta', '10 views', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('B short', 90), 'Beta', '10 views', '1 day ago'));
+
+      // Act
+      await content.generateReorderPlan('asc', 0, 'duration', { interleaveChannels: true });
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      const plan = setCall[0].reorder_status.plan;
+      expect(plan.map(v => v.title)).toEqual(['A short', 'B short', 'A mid', 'B long', 'A long']);
+      expect(plan.map(v => v.channel)).toEqual(['Alpha', 'Beta', 'Alpha', 'Beta', 'Alpha']);
+    });
+
+    test('should pack the sorted videos into sessions and report the session length', async () => {
+      [['A', 1800], ['B', 900], ['C', 1200], ['D', 1500]].forEach(([title, duration]) => playlistContainer.appendChild(createVideoWithDuration(title, duration)));
+
+      await content.generateReorderPlan('asc', 0, 'duration', { sessionLength: 2700 });
+
+      const status = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview')[0].reorder_status;
+      expect(status.sessionLength).toBe(2700);
+      expect(status.plan.map(v => [v.title, v.session])).toEqual([['B', 1], ['A', 1], ['C', 2], ['D', 2]]);
+    });
+
+    test('should sort by view count and upload age', async () => {
+      // Arrange
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('Popular', 60), 'A', '1.2M views', '3 years ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('Niche', 60), 'A', '1,234 views', '2 weeks ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('Fresh', 60), 'A', 'No views', '5 hours ago'));
+
+      // Act
+      await content.generateReorderPlan('desc', 0, 'views');
+      await content.generateReorderPlan('desc', 0, 'age');
+
+      // Assert
+      const previews = chrome.storage.local.set.mock.calls.filter(call => call[0].reorder_status.state === 'preview');
+      expect(previews[0][0].reorder_status.plan.map(v => v.title)).toEqual(['Popular', 'Niche', 'Fresh']);
+      expect(previews[1][0].reorder_status.plan.map(v => v.title)).toEqual(['Popular', 'Niche', 'Fresh']);
+    });
+
+    test('should sort by a chain of keys with original position as the final tie-breaker', async () => {
+      // Arrange
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('B long', 300), 'Beta', '1 view', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('A long', 300), 'Alpha', '1 view', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('B short (first)', 60), 'Beta', '1 view', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('A short', 60), 'Alpha', '1 view', '1 day ago'));
+      playlistContainer.appendChild(addMetadata(createVideoWithDuration('B short (second)', 60), 'Beta', '1 view', '1 day ago'));
+
+      // Act
+      await content.generateReorderPlan(undefined, 0, [{ key: 'channel', order: 'asc' }, { key: 'duration', order: 'asc' }]);
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      expect(setCall[0].reorder_status.plan.map(v => v.title)).toEqual([
+        'A short', 'A long', 'B short (first)', 'B short (second)', 'B long',
+      ]);
+    });
+
+    test('normalizeSortKeys should append original position unless already present', () => {
+      expect(content.normalizeSortKeys('duration', 'desc')).toEqual([
+        { key: 'duration', order: 'desc' },
+        { key: 'position', order: 'asc' },
+      ]);
+      expect(content.normalizeSortKeys([{ key: 'position', order: 'desc' }, { key: 'bogus', order: 'asc' }])).toEqual([
+        { key: 'position', order: 'desc' },
+      ]);
+    });
+
+    test('should sort by original position in both directions', async () => {
+      // Arrange
+      playlistContainer.appendChild(createVideoWithDuration('First', 300));
+      playlistContainer.appendChild(createVideoWithDuration('Second', 30));
+
+      // Act
+      await content.generateReorderPlan('desc', 0, 'position');
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      expect(setCall[0].reorder_status.plan.map(v => v.title)).toEqual(['Second', 'First']);
     });
 
     test('should generate a plan sorted in descending order', async () => {
@@ -181,6 +1315,69 @@ describe('content.js', () => {
       expect(plan.map(v => v.title)).not.toContain('Video over 5 mins');
     });
 
+    test('should record excluded videos and sort them separately when requested', async () => {
+      // Arrange
+      playlistContainer.appendChild(createVideoWithDuration('Very long', 900));
+      playlistContainer.appendChild(createVideoWithDuration('Short', 30));
+      playlistContainer.appendChild(createVideoWithDuration('Long', 600));
+
+      // Act
+      await content.generateReorderPlan('desc', 300, 'duration', { excludedPlacement: 'sorted' });
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      const status = setCall[0].reorder_status;
+      expect(status.plan.map(v => v.title)).toEqual(['Short']);
+      expect(status.excluded.map(v => v.title)).toEqual(['Very long', 'Long']);
+      expect(status.excludedPlacement).toBe('sorted');
+      expect(status.moveCount).toBe(1);
+    });
+
+    // Helper to create a video element whose overlay shows a badge instead of a duration
+    const createSpecialVideo = (title, overlayText) => {
+      const videoEl = document.createElement('ytd-playlist-video-renderer');
+      const titleEl = document.createElement('span');
+      titleEl.id = 'video-title';
+      titleEl.textContent = title;
+      videoEl.appendChild(titleEl);
+      if (overlayText) {
+        const timeEl = document.createElement('span');
+        timeEl.className = 'ytd-thumbnail-overlay-time-status-renderer';
+        timeEl.innerText = overlayText;
+        videoEl.appendChild(timeEl);
+      }
+      return videoEl;
+    };
+
+    test('should classify special entries and apply the policy for each kind', async () => {
+      // Arrange
+      playlistContainer.appendChild(createSpecialVideo('[Private video]'));
+      playlistContainer.appendChild(createSpecialVideo('Stream', 'LIVE'));
+      playlistContainer.appendChild(createVideoWithDuration('Long', 600));
+      playlistContainer.appendChild(createSpecialVideo('Premiere', 'UPCOMING'));
+      playlistContainer.appendChild(createSpecialVideo('Short', 'SHORTS'));
+      playlistContainer.appendChild(createVideoWithDuration('Medium', 300));
+
+      // Act
+      await content.generateReorderPlan('asc', 0, 'duration', {
+        kindPolicies: { live: 'top', premiere: 'skip', short: 'sort' },
+      });
+
+      // Assert
+      const setCall = chrome.storage.local.set.mock.calls.find(call => call[0].reorder_status.state === 'preview');
+      const status = setCall[0].reorder_status;
+      expect(status.plan.map(v => [v.title, v.kind, v.anchor])).toEqual([
+        ['Stream', 'live', 'top'],
+        ['Medium', 'normal', undefined],
+        ['Long', 'normal', undefined],
+        ['Short', 'short', undefined],
+        ['[Private video]', 'unavailable', 'bottom'],
+      ]);
+      expect(status.plan[3].duration).toBeNull();
+      expect(status.excluded.map(v => v.title)).toEqual(['Premiere']);
+      expect(status.filterCounts.skippedKinds).toBe(1);
+    });
+
     test('should update status to error if no videos are found', async () => {
       // Arrange: No videos in the container
 
@@ -1,3 +1,14 @@
 const { chrome } = require('jest-chrome');
 
-global.chrome = chrome;
\ No newline at end of file
+// jest-chrome follows the Manifest V2 API, which has no `chrome.action`.
+chrome.action = {
+  setBadgeText: jest.fn(),
+  setBadgeBackgroundColor: jest.fn(),
+};
+
+global.chrome = chrome;
+
+// The popup loads settings.js with a script tag and the background worker with
+// importScripts; either way its functions become globals.
+Object.assign(global, require('./settings'));
+global.importScripts = () => {};
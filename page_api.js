@@ -0,0 +1,160 @@
+/**
+ * Runs in the page's own JavaScript context, injected by content.js. Content scripts
+ * cannot see the page's session data (`ytcfg`) or the data YouTube keeps on each
+ * playlist entry, so playlist edit requests are sent from here. content.js talks to
+ * this script with window.postMessage.
+ */
+(function () {
+  const CONTENT_SOURCE = 'yt-playlist-reorder-content';
+  const PAGE_SOURCE = 'yt-playlist-reorder-page';
+  const EDIT_PLAYLIST_PATH = '/youtubei/v1/browse/edit_playlist';
+
+  function getCookie(name, cookies) {
+    const entry = cookies.split('; ').find(cookie => cookie.startsWith(`${name}=`));
+    return entry ? decodeURIComponent(entry.slice(name.length + 1)) : null;
+  }
+
+  async function sha1Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // The Authorization header YouTube's own requests carry for a signed-in user.
+  async function getAuthorization(sapisid, origin, timestamp = Math.floor(Date.now() / 1000)) {
+    return `SAPISIDHASH ${timestamp}_${await sha1Hex(`${timestamp} ${sapisid} ${origin}`)}`;
+  }
+
+  function readSession() {
+    const config = window.ytcfg;
+    if (!config || typeof config.get !== 'function') {
+      throw new Error('The page has no session data.');
+    }
+    const session = {
+      apiKey: config.get('INNERTUBE_API_KEY'),
+      context: config.get('INNERTUBE_CONTEXT'),
+      clientName: config.get('INNERTUBE_CONTEXT_CLIENT_NAME'),
+      clientVersion: config.get('INNERTUBE_CONTEXT_CLIENT_VERSION'),
+      authUser: config.get('SESSION_INDEX') || 0,
+      sapisid: getCookie('SAPISID', document.cookie) || getCookie('__Secure-3PAPISID', document.cookie),
+      origin: window.location.origin,
+    };
+    if (!session.apiKey || !session.context || !session.sapisid) {
+      throw new Error('The page session is incomplete. Are you signed in?');
+    }
+    return session;
+  }
+
+  // Moves the entry `setVideoId` right after `predecessorSetVideoId`, or to the top without one.
+  function buildMoveAction(setVideoId, predecessorSetVideoId) {
+    const action = { action: 'ACTION_MOVE_VIDEO_AFTER', setVideoId };
+    if (predecessorSetVideoId) {
+      action.movedSetVideoIdPredecessor = predecessorSetVideoId;
+    }
+    return action;
+  }
+
+  async function editPlaylist(session, playlistId, actions, endpoint = `${session.origin}${EDIT_PLAYLIST_PATH}`) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': await getAuthorization(session.sapisid, session.origin),
+      'X-Origin': session.origin,
+      'X-Goog-AuthUser': String(session.authUser),
+    };
+    if (session.clientName) headers['X-Youtube-Client-Name'] = String(session.clientName);
+    if (session.clientVersion) headers['X-Youtube-Client-Version'] = session.clientVersion;
+
+    const response = await fetch(`${endpoint}?key=${encodeURIComponent(session.apiKey)}&prettyPrint=false`, {
+      method: 'POST',
+      credentials: 'include',
+      headers,
+      body: JSON.stringify({ context: session.context, playlistId, actions }),
+    });
+    if (!response.ok) {
+      throw new Error(`The playlist edit request failed with HTTP ${response.status}.`);
+    }
+    const result = await response.json();
+    if (result.status !== 'STATUS_SUCCEEDED') {
+      throw new Error(`The playlist edit was rejected (${result.status || 'no status'}).`);
+    }
+    return result;
+  }
+
+  function getEntryData(renderer) {
+    return renderer.data || (renderer.__data && renderer.__data.data) || null;
+  }
+
+  // Looks up the set-video ID that identifies an entry in edit requests.
+  function findSetVideoId(video) {
+    const renderer = Array.from(document.querySelectorAll('ytd-playlist-video-renderer'))
+      .find(element => {
+        const data = getEntryData(element);
+        return data && data.videoId === video.videoId;
+      });
+    const data = renderer && getEntryData(renderer);
+    if (!data || !data.setVideoId) {
+      throw new Error(`Could not find the playlist entry of video ${video.videoId}.`);
+    }
+    return data.setVideoId;
+  }
+
+  // How YouTube describes "Move to top" and "Move to bottom" in a menu item's data. Unlike
+  // the label, this is the same in every interface language.
+  const MOVE_MENU_ICONS = { top: 'VERTICAL_ALIGN_TOP', bottom: 'VERTICAL_ALIGN_BOTTOM' };
+
+  // Edit commands move an entry after another one; a move to the top names none (see buildMoveAction).
+  function isMoveMenuItem(data, direction) {
+    if (!data) return false;
+    if (data.icon && data.icon.iconType === MOVE_MENU_ICONS[direction]) return true;
+    const endpoint = data.serviceEndpoint && data.serviceEndpoint.playlistEditEndpoint;
+    return ((endpoint && endpoint.actions) || []).some(action => action.action === 'ACTION_MOVE_VIDEO_AFTER'
+      && Boolean(action.movedSetVideoIdPredecessor) === (direction === 'bottom'));
+  }
+
+  // Finds a menu item by its data, which content.js cannot read. Resolves with its index
+  // among the page's menu items, or -1.
+  function findMoveMenuItem({ direction }) {
+    const items = Array.from(document.querySelectorAll('ytd-menu-service-item-renderer'));
+    return items.findIndex(item => isMoveMenuItem(getEntryData(item), direction));
+  }
+
+  // Requests come from any script on the page, so they cannot choose where the signed
+  // request goes: it always goes to the page's own origin.
+  async function moveVideo({ playlistId, video, predecessor }) {
+    const session = readSession();
+    const action = buildMoveAction(findSetVideoId(video), predecessor ? findSetVideoId(predecessor) : null);
+    await editPlaylist(session, playlistId, [action]);
+    return { moved: true };
+  }
+
+  const handlers = { moveVideo, findMoveMenuItem };
+
+  // Listen once, even if content.js injects the script again after an extension update.
+  if (typeof window !== 'undefined' && document.documentElement.dataset.playlistReorderApi !== 'ready') {
+    window.addEventListener('message', (event) => {
+      if (event.source !== window || !event.data || event.data.source !== CONTENT_SOURCE) return;
+      const { id, type, payload } = event.data;
+      const reply = message => window.postMessage({ source: PAGE_SOURCE, id, ...message }, window.location.origin);
+      if (!handlers[type]) {
+        reply({ ok: false, error: `Unknown request "${type}".` });
+        return;
+      }
+      Promise.resolve()
+        .then(() => handlers[type](payload))
+        .then(result => reply({ ok: true, result }), error => reply({ ok: false, error: error.message }));
+    });
+    document.documentElement.dataset.playlistReorderApi = 'ready';
+  }
+
+  // For testing purposes
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      getAuthorization,
+      buildMoveAction,
+      editPlaylist,
+      isMoveMenuItem,
+      findMoveMenuItem,
+      readSession,
+      moveVideo,
+    };
+  }
+})();
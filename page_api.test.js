@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+
+// page_api.js normally runs in the page. Here its requests go to a local stub server
+// that mimics YouTube's playlist edit endpoint.
+const http = require('http');
+const vm = require('vm');
+
+describe('page_api.js', () => {
+  let pageApi;
+  let server;
+  let endpoint;
+  let received;
+  let reply;
+
+  const session = {
+    apiKey: 'test-key',
+    context: { client: { clientName: 'WEB', clientVersion: '2.20260101' } },
+    clientName: 1,
+    clientVersion: '2.20260101',
+    authUser: 0,
+    sapisid: 'sapisid-value',
+    origin: 'https://www.youtube.com',
+  };
+
+  beforeAll(async () => {
+    // Jest 27's node environment does not expose Node's own fetch and Web Crypto.
+    global.fetch = vm.runInThisContext('fetch');
+    global.crypto = require('crypto').webcrypto;
+    pageApi = require('./page_api');
+
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        received.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body || 'null') });
+        response.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/youtubei/v1/browse/edit_playlist`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete global.fetch;
+    delete global.crypto;
+  });
+
+  beforeEach(() => {
+    received = [];
+    reply = { status: 200, body: { status: 'STATUS_SUCCEEDED' } };
+  });
+
+  test('getAuthorization should build the SAPISIDHASH header', async () => {
+    const expected = require('crypto').createHash('sha1').update('1700000000 abc https://www.youtube.com').digest('hex');
+    await expect(pageApi.getAuthorization('abc', 'https://www.youtube.com', 1700000000)).resolves.toBe(`SAPISIDHASH 1700000000_${expected}`);
+  });
+
+  test('buildMoveAction should only name a predecessor for moves below another entry', () => {
+    expect(pageApi.buildMoveAction('set-a', null)).toEqual({ action: 'ACTION_MOVE_VIDEO_AFTER', setVideoId: 'set-a' });
+    expect(pageApi.buildMoveAction('set-a', 'set-b')).toEqual({ action: 'ACTION_MOVE_VIDEO_AFTER', setVideoId: 'set-a', movedSetVideoIdPredecessor: 'set-b' });
+  });
+
+  test('editPlaylist should post the edit with the session context and credentials', async () => {
+    const actions = [pageApi.buildMoveAction('set-a', 'set-b')];
+
+    await pageApi.editPlaylist(session, 'PL123', actions, endpoint);
+
+    expect(received.length).toBe(1);
+    const [request] = received;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/youtubei/v1/browse/edit_playlist?key=test-key&prettyPrint=false');
+    expect(request.body).toEqual({ context: session.context, playlistId: 'PL123', actions });
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.headers.authorization).toMatch(/^SAPISIDHASH \d+_[0-9a-f]{40}$/);
+    expect(request.headers['x-origin']).toBe('https://www.youtube.com');
+    expect(request.headers['x-goog-authuser']).toBe('0');
+    expect(request.headers['x-youtube-client-name']).toBe('1');
+    expect(request.headers['x-youtube-client-version']).toBe('2.20260101');
+  });
+
+  test('editPlaylist should fail on HTTP errors and on edits the server rejects', async () => {
+    reply = { status: 401, body: { error: { code: 401 } } };
+    await expect(pageApi.editPlaylist(session, 'PL123', [], endpoint)).rejects.toThrow('The playlist edit request failed with HTTP 401.');
+
+    reply = { status: 200, body: { status: 'STATUS_FAILED' } };
+    await expect(pageApi.editPlaylist(session, 'PL123', [], endpoint)).rejects.toThrow('The playlist edit was rejected (STATUS_FAILED).');
+  });
+
+  test('findMoveMenuItem should find the move by its icon or edit command whatever the label says', () => {
+    const item = data => ({ data });
+    const items = [
+      item({ icon: { iconType: 'DELETE' } }),
+      item({ serviceEndpoint: { playlistEditEndpoint: { actions: [{ action: 'ACTION_MOVE_VIDEO_AFTER', setVideoId: 's1', movedSetVideoIdPredecessor: 's9' }] } } }),
+      { __data: { data: { icon: { iconType: 'VERTICAL_ALIGN_TOP' } } } },
+    ];
+    global.document = { querySelectorAll: () => items };
+    try {
+      expect(pageApi.findMoveMenuItem({ direction: 'top' })).toBe(2);
+      expect(pageApi.findMoveMenuItem({ direction: 'bottom' })).toBe(1);
+    } finally {
+      delete global.document;
+    }
+  });
+
+  test('isMoveMenuItem should tell a move to the top from a move to the bottom by the predecessor', () => {
+    const edit = action => ({ serviceEndpoint: { playlistEditEndpoint: { actions: [action] } } });
+    const toTop = edit(pageApi.buildMoveAction('s1', null));
+    const toBottom = edit(pageApi.buildMoveAction('s1', 's9'));
+
+    expect(pageApi.isMoveMenuItem(toTop, 'top')).toBe(true);
+    expect(pageApi.isMoveMenuItem(toTop, 'bottom')).toBe(false);
+    expect(pageApi.isMoveMenuItem(toBottom, 'bottom')).toBe(true);
+    expect(pageApi.isMoveMenuItem(edit({ action: 'ACTION_REMOVE_VIDEO', setVideoId: 's1' }), 'top')).toBe(false);
+  });
+
+  test('moveVideo should send the edit to the page origin whatever endpoint the request names', async () => {
+    const origin = new URL(endpoint).origin;
+    const config = { INNERTUBE_API_KEY: 'test-key', INNERTUBE_CONTEXT: session.context };
+    global.window = { ytcfg: { get: key => config[key] }, location: { origin } };
+    global.document = {
+      cookie: 'SAPISID=sapisid-value',
+      querySelectorAll: () => [{ data: { videoId: 'a', setVideoId: 'set-a' } }],
+    };
+    try {
+      await pageApi.moveVideo({ playlistId: 'PL123', video: { videoId: 'a' }, predecessor: null, endpoint: `${origin}/elsewhere` });
+    } finally {
+      delete global.window;
+      delete global.document;
+    }
+
+    expect(received.map(request => request.url)).toEqual(['/youtubei/v1/browse/edit_playlist?key=test-key&prettyPrint=false']);
+  });
+});
@@ -1,33 +1,725 @@
 const reorderForm = document.getElementById('reorderForm');
 const startButton = document.getElementById('startReorder');
 const cancelButton = document.getElementById('cancelReorder');
+const pauseButton = document.getElementById('pauseReorder');
+const undoButton = document.getElementById('undoReorder');
+const resumeControls = document.getElementById('resume-controls');
+const resumeButton = document.getElementById('resumeReorder');
+const discardButton = document.getElementById('discardRun');
 const confirmButton = document.getElementById('confirmButton');
 const editButton = document.getElementById('editButton');
 const statusText = document.getElementById('status-text');
+const sortKeySelect = document.getElementById('sortKey');
 const orderSelect = document.getElementById('order');
 const maxLengthInput = document.getElementById('maxLength');
+const sessionLengthInput = document.getElementById('sessionLength');
+const excludedPlacementSelect = document.getElementById('excludedPlacement');
+const moveBackendSelect = document.getElementById('moveBackend');
+const minLengthInput = document.getElementById('minLength');
+const includeChannelsInput = document.getElementById('includeChannels');
+const excludeChannelsInput = document.getElementById('excludeChannels');
+const includeTitlesInput = document.getElementById('includeTitles');
+const excludeTitlesInput = document.getElementById('excludeTitles');
+const kindPolicySelects = document.querySelectorAll('.kind-policy');
+const shuffleOptions = document.getElementById('shuffle-options');
+const shuffleSeedInput = document.getElementById('shuffleSeed');
+const shuffleBandsInput = document.getElementById('shuffleBands');
+const interleaveChannelsInput = document.getElementById('interleaveChannels');
+const tieBreakerGroup = document.getElementById('tie-breaker-group');
+const tieBreakersList = document.getElementById('tieBreakers');
+const addTieBreakerButton = document.getElementById('addTieBreaker');
 const progressBarContainer = document.getElementById('progress-bar-container');
 const progressBar = document.getElementById('progress-bar');
+const runSummary = document.getElementById('run-summary');
+const summaryText = document.getElementById('summary-text');
+const failureList = document.getElementById('failure-list');
+const retryFailedButton = document.getElementById('retryFailed');
 const settingsView = document.getElementById('settings-view');
 const previewView = document.getElementById('preview-view');
 const previewList = document.getElementById('preview-list');
+const filterSummary = document.getElementById('filter-summary');
+const importSummary = document.getElementById('import-summary');
+const loadWarning = document.getElementById('load-warning');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportPlaylistButton = document.getElementById('exportPlaylist');
+const exportPlanButton = document.getElementById('exportPlan');
+const importFileInput = document.getElementById('importFile');
+const presetSelect = document.getElementById('presetSelect');
+const presetNameInput = document.getElementById('presetName');
+const applyPresetButton = document.getElementById('applyPreset');
+const deletePresetButton = document.getElementById('deletePreset');
+const savePresetButton = document.getElementById('savePreset');
+const renamePresetButton = document.getElementById('renamePreset');
+const defaultPresetInput = document.getElementById('defaultPreset');
 
+// Labels for the ascending and descending option of each sort key.
+const ORDER_LABELS = {
+  duration: { asc: 'Shortest to Longest', desc: 'Longest to Shortest' },
+  channel: { asc: 'Channel A to Z', desc: 'Channel Z to A' },
+  title: { asc: 'Title A to Z', desc: 'Title Z to A' },
+  age: { asc: 'Newest to Oldest', desc: 'Oldest to Newest' },
+  views: { asc: 'Fewest to Most Views', desc: 'Most to Fewest Views' },
+  position: { asc: 'First Added to Last Added', desc: 'Last Added to First Added' },
+};
 
-function saveSettings() {
-  const settings = {
-    order: orderSelect.value,
-    maxLength: maxLengthInput.value
+// How each filter is described in the preview's "removed by filters" summary.
+const FILTER_LABELS = {
+  maxLength: 'over the max length',
+  minLength: 'under the min length',
+  includeChannels: 'not from the listed channels',
+  excludeChannels: 'from skipped channels',
+  includeTitles: 'without a matching title',
+  excludeTitles: 'with a skipped title',
+  skippedKinds: 'skipped by type',
+};
+
+// Preview labels for entries that are not regular videos.
+const KIND_LABELS = {
+  live: 'Live',
+  premiere: 'Premiere',
+  short: 'Short',
+  unavailable: 'Unavailable',
+};
+
+const EXCLUDED_PLACEMENT_LABELS = {
+  below: 'kept below',
+  above: 'kept above',
+  sorted: 'sorted below',
+  inPlace: 'left in place',
+};
+
+function updateOrderLabels(keySelect = sortKeySelect, directionSelect = orderSelect) {
+  const labels = ORDER_LABELS[keySelect.value] || ORDER_LABELS.duration;
+  Array.from(directionSelect.options).forEach(option => {
+    if (labels[option.value]) option.textContent = labels[option.value];
+  });
+}
+
+// Shuffling ignores the sort keys, so their controls give way to the shuffle options.
+function updateShuffleOptions() {
+  const shuffle = orderSelect.value === 'shuffle';
+  shuffleOptions.style.display = shuffle ? 'block' : 'none';
+  tieBreakerGroup.style.display = shuffle ? 'none' : 'block';
+}
+
+/**
+ * Appends a "then by" row to the tie-breaker list. Rows are applied in order
+ * after the primary sort key whenever two videos compare equal.
+ */
+function addTieBreakerRow(key = 'position', order = 'asc') {
+  const row = document.createElement('div');
+  row.className = 'tie-breaker';
+
+  const keySelect = sortKeySelect.cloneNode(true);
+  keySelect.removeAttribute('id');
+  keySelect.className = 'tie-breaker-key';
+  keySelect.value = key;
+
+  const directionSelect = orderSelect.cloneNode(true);
+  directionSelect.removeAttribute('id');
+  directionSelect.querySelector('option[value="shuffle"]')?.remove();
+  directionSelect.className = 'tie-breaker-order';
+  directionSelect.value = order;
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'remove-tie-breaker';
+  removeButton.textContent = '✕';
+  removeButton.title = 'Remove this tie-breaker';
+
+  keySelect.addEventListener('change', () => {
+    updateOrderLabels(keySelect, directionSelect);
+    saveSettings();
+  });
+  directionSelect.addEventListener('change', saveSettings);
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    saveSettings();
+  });
+
+  row.append(keySelect, directionSelect, removeButton);
+  tieBreakersList.appendChild(row);
+  updateOrderLabels(keySelect, directionSelect);
+  return row;
+}
+
+// Returns the whole key chain: the primary key followed by each tie-breaker.
+function getSortKeys() {
+  const sortKeys = [{ key: sortKeySelect.value, order: orderSelect.value }];
+  tieBreakersList.querySelectorAll('.tie-breaker').forEach(row => {
+    sortKeys.push({
+      key: row.querySelector('.tie-breaker-key').value,
+      order: row.querySelector('.tie-breaker-order').value,
+    });
+  });
+  return sortKeys;
+}
+
+function formatDuration(duration) {
+  if (duration === null || duration === undefined) return '';
+  const minutes = Math.floor(duration / 60);
+  const seconds = duration % 60;
+  return `(${minutes}:${seconds.toString().padStart(2, '0')}) `;
+}
+
+function getKindPolicies() {
+  const kindPolicies = {};
+  kindPolicySelects.forEach(select => {
+    kindPolicies[select.dataset.kind] = select.value;
+  });
+  return kindPolicies;
+}
+
+function setKindPolicies(kindPolicies = {}) {
+  kindPolicySelects.forEach(select => {
+    if (kindPolicies[select.dataset.kind]) {
+      select.value = kindPolicies[select.dataset.kind];
+    }
+  });
+}
+
+function splitLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function getFilters() {
+  return {
+    minLength: parseInt(minLengthInput.value, 10) || 0,
+    includeChannels: splitLines(includeChannelsInput.value),
+    excludeChannels: splitLines(excludeChannelsInput.value),
+    includeTitles: splitLines(includeTitlesInput.value),
+    excludeTitles: splitLines(excludeTitlesInput.value),
+  };
+}
+
+function setFilters(filters = {}) {
+  minLengthInput.value = filters.minLength || '0';
+  includeChannelsInput.value = (filters.includeChannels || []).join('\n');
+  excludeChannelsInput.value = (filters.excludeChannels || []).join('\n');
+  includeTitlesInput.value = (filters.includeTitles || []).join('\n');
+  excludeTitlesInput.value = (filters.excludeTitles || []).join('\n');
+}
+
+function describeFilterCounts(filterCounts = {}) {
+  const parts = Object.keys(FILTER_LABELS)
+    .filter(name => filterCounts[name] > 0)
+    .map(name => `${filterCounts[name]} ${FILTER_LABELS[name]}`);
+  return parts.length > 0 ? `Removed by filters: ${parts.join(', ')}.` : '';
+}
+
+const EXPORT_FIELDS = ['position', 'videoId', 'title', 'channel', 'duration'];
+
+function toExportRows(videos) {
+  return videos.map((video, index) => ({
+    position: index + 1,
+    videoId: video.videoId || null,
+    title: video.title || '',
+    channel: video.channel || null,
+    duration: Number.isInteger(video.duration) ? video.duration : null,
+  }));
+}
+
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExport(videos, format) {
+  const rows = toExportRows(videos);
+  if (format === 'csv') {
+    const lines = rows.map(row => EXPORT_FIELDS.map(field => escapeCsvField(row[field])).join(','));
+    return [EXPORT_FIELDS.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+  return JSON.stringify(rows, null, 2);
+}
+
+// Splits CSV text into rows of fields. Quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads an exported (or hand-made) JSON or CSV file into `{videoId, title}`
+ * entries in the order they should be applied. When every row has a position
+ * the rows are applied by position, so a spreadsheet can be re-sorted freely.
+ */
+function parseImportFile(text, fileName) {
+  let records;
+  if (/\.csv$/i.test(fileName)) {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const fields = header.map(field => field.trim());
+    records = rows.map(row => Object.fromEntries(fields.map((field, i) => [field, row[i]])));
+  } else {
+    const data = JSON.parse(text);
+    records = Array.isArray(data) ? data : data && data.videos;
+    if (!Array.isArray(records)) {
+      throw new Error('The JSON file must contain a list of videos.');
+    }
+  }
+
+  const entries = records
+    .map((record, index) => ({
+      position: parseFloat(record.position),
+      videoId: record.videoId ? String(record.videoId).trim() : null,
+      title: record.title ? String(record.title).trim() : '',
+      index,
+    }))
+    .filter(entry => entry.videoId || entry.title);
+  if (entries.length === 0) {
+    throw new Error('The file does not list any videos.');
+  }
+  if (entries.every(entry => Number.isFinite(entry.position))) {
+    entries.sort((a, b) => a.position - b.position || a.index - b.index);
+  }
+  return entries.map(({ videoId, title }) => ({ videoId, title }));
+}
+
+function describeUnmatched(unmatched = []) {
+  if (unmatched.length === 0) return '';
+  const names = unmatched.slice(0, 5).map(entry => entry.title || entry.videoId);
+  const more = unmatched.length > names.length ? ` and ${unmatched.length - names.length} more` : '';
+  return `${unmatched.length} imported ${unmatched.length === 1 ? 'entry' : 'entries'} did not match any video: ${names.join(', ')}${more}.`;
+}
+
+function downloadFile(fileName, content, format) {
+  const type = format === 'csv' ? 'text/csv' : 'application/json';
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+function setFormDisabled(disabled) {
+  reorderForm.querySelectorAll('select, input, textarea, button[type="button"]').forEach(control => {
+    control.disabled = disabled;
+  });
+}
+
+function getCurrentSettings() {
+  return {
+    sortKeys: getSortKeys(),
+    maxLength: maxLengthInput.value,
+    sessionLength: sessionLengthInput.value,
+    excludedPlacement: excludedPlacementSelect.value,
+    filters: getFilters(),
+    kindPolicies: getKindPolicies(),
+    shuffleSeed: shuffleSeedInput.value,
+    shuffleBands: shuffleBandsInput.checked,
+    interleaveChannels: interleaveChannelsInput.checked,
+    moveBackend: moveBackendSelect.value
   };
-  chrome.storage.local.set({ reorder_settings: settings });
+}
+
+function saveSettings() {
+  chrome.storage.local.set({ reorder_settings: getCurrentSettings() });
+}
+
+function applySettings(settings) {
+  const sortKeys = getSettingsSortKeys(settings);
+  sortKeySelect.value = sortKeys[0].key;
+  orderSelect.value = sortKeys[0].order;
+  updateOrderLabels();
+  tieBreakersList.innerHTML = '';
+  sortKeys.slice(1).forEach(({ key, order }) => addTieBreakerRow(key, order));
+  maxLengthInput.value = settings.maxLength || '0';
+  sessionLengthInput.value = settings.sessionLength || '0';
+  excludedPlacementSelect.value = settings.excludedPlacement || 'below';
+  setFilters(settings.filters);
+  setKindPolicies(settings.kindPolicies);
+  shuffleSeedInput.value = settings.shuffleSeed || '';
+  shuffleBandsInput.checked = Boolean(settings.shuffleBands);
+  interleaveChannelsInput.checked = Boolean(settings.interleaveChannels);
+  moveBackendSelect.value = settings.moveBackend || 'menu';
+  updateShuffleOptions();
 }
 
 function loadSettings() {
   chrome.storage.local.get('reorder_settings', (data) => {
     if (data.reorder_settings) {
-      orderSelect.value = data.reorder_settings.order || 'asc';
-      maxLengthInput.value = data.reorder_settings.maxLength || '0';
+      applySettings(data.reorder_settings);
+    }
+  });
+}
+
+// Named presets and the preset each playlist starts with, as stored under 'reorder_presets'.
+let presetStore = { presets: {}, playlistDefaults: {} };
+let currentPlaylistId = null;
+let currentTabId = null;
+
+function renderPresets(selected = presetSelect.value) {
+  presetSelect.innerHTML = '<option value="">Current settings</option>';
+  Object.keys(presetStore.presets).sort((a, b) => a.localeCompare(b)).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    presetSelect.appendChild(option);
+  });
+  presetSelect.value = presetStore.presets[selected] ? selected : '';
+  defaultPresetInput.checked = Boolean(currentPlaylistId && presetSelect.value &&
+    presetStore.playlistDefaults[currentPlaylistId] === presetSelect.value);
+}
+
+function savePresetStore(selected) {
+  chrome.storage.local.set({ reorder_presets: presetStore });
+  renderPresets(selected);
+}
+
+function loadPresets(callback) {
+  chrome.storage.local.get('reorder_presets', (data) => {
+    const stored = (data && data.reorder_presets) || {};
+    presetStore = { presets: stored.presets || {}, playlistDefaults: stored.playlistDefaults || {} };
+    renderPresets();
+    if (callback) callback();
+  });
+}
+
+function applyPreset(name) {
+  const settings = presetStore.presets[name];
+  if (!settings) return false;
+  applySettings(settings);
+  saveSettings();
+  presetNameInput.value = name;
+  renderPresets(name);
+  return true;
+}
+
+function savePreset() {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    statusText.textContent = 'Enter a name for the preset.';
+    return;
+  }
+  presetStore.presets[name] = getCurrentSettings();
+  savePresetStore(name);
+  statusText.textContent = `Saved preset "${name}".`;
+}
+
+function renamePreset() {
+  const from = presetSelect.value;
+  const to = presetNameInput.value.trim();
+  if (!from || !to) {
+    statusText.textContent = 'Choose a preset and enter its new name.';
+    return;
+  }
+  if (to !== from && presetStore.presets[to]) {
+    statusText.textContent = `A preset named "${to}" already exists.`;
+    return;
+  }
+  presetStore.presets[to] = presetStore.presets[from];
+  if (to !== from) delete presetStore.presets[from];
+  Object.keys(presetStore.playlistDefaults).forEach(playlistId => {
+    if (presetStore.playlistDefaults[playlistId] === from) presetStore.playlistDefaults[playlistId] = to;
+  });
+  savePresetStore(to);
+  statusText.textContent = `Renamed preset "${from}" to "${to}".`;
+}
+
+function deletePreset() {
+  const name = presetSelect.value;
+  if (!name) return;
+  delete presetStore.presets[name];
+  Object.keys(presetStore.playlistDefaults).forEach(playlistId => {
+    if (presetStore.playlistDefaults[playlistId] === name) delete presetStore.playlistDefaults[playlistId];
+  });
+  presetNameInput.value = '';
+  savePresetStore('');
+  statusText.textContent = `Deleted preset "${name}".`;
+}
+
+function setDefaultPreset(isDefault) {
+  if (!currentPlaylistId || !presetSelect.value) {
+    defaultPresetInput.checked = false;
+    statusText.textContent = 'Open a playlist and choose a preset to make it the default.';
+    return;
+  }
+  if (isDefault) {
+    presetStore.playlistDefaults[currentPlaylistId] = presetSelect.value;
+  } else {
+    delete presetStore.playlistDefaults[currentPlaylistId];
+  }
+  savePresetStore();
+}
+
+/**
+ * Finds the tab and playlist the popup was opened on, which the popup then follows:
+ * its status, its messages and its default preset.
+ */
+function bindToPage(callback) {
+  chrome.runtime.sendMessage({ from: 'popup', action: 'getPlaylistId' }, (response) => {
+    const page = !chrome.runtime.lastError && response && response.status !== 'error' ? response : {};
+    currentPlaylistId = page.playlistId || null;
+    currentTabId = page.tabId === undefined ? null : page.tabId;
+    loadPresets(() => {
+      const name = currentPlaylistId && presetStore.playlistDefaults[currentPlaylistId];
+      if (name) applyPreset(name);
+      if (callback) callback();
+    });
+  });
+}
+
+// Same keys as the content script: one status per playlist, and a shared one elsewhere.
+function getStatusKey(playlistId = currentPlaylistId) {
+  return playlistId ? `reorder_status:${playlistId}` : 'reorder_status';
+}
+
+// Sends a message to the page the popup is bound to. The background worker routes it on
+// to the tab that owns the playlist's operation when that is a different tab.
+function sendToPage(message, callback) {
+  const target = currentTabId === null ? {} : { tabId: currentTabId, playlistId: currentPlaylistId };
+  chrome.runtime.sendMessage({ ...message, ...target }, callback);
+}
+
+function loadStatus() {
+  const statusKey = getStatusKey();
+  chrome.storage.local.get(statusKey, (data) => {
+    const status = data && data[statusKey];
+    // If the last known state was 'complete', reset to 'idle' when opening the popup,
+    // unless some moves failed and can still be retried.
+    if (status && status.state === 'complete' && !hasFailedMoves(status)) {
+      chrome.storage.local.set({ [statusKey]: { state: 'idle' } }, () => updateUI({ state: 'idle' }));
+      return;
+    }
+    updateUI(status);
+  });
+}
+
+// The preview status being edited, kept so that edits can be written back as a whole.
+let currentPreview = null;
+let focusedPreviewIndex = null;
+
+/**
+ * Moves a plan entry to a new index. Pinned entries keep their slots; the moved
+ * entry loses the top/bottom anchor of its kind, since the user placed it explicitly.
+ */
+function movePlanItem(plan, from, to) {
+  if (from === to || !plan[from] || plan[from].pinned || to < 0 || to >= plan.length) return plan;
+  const arranged = [...plan];
+  const [{ anchor, ...item }] = arranged.splice(from, 1);
+  arranged.splice(to, 0, item);
+  return reseatPinned(plan, arranged);
+}
+
+function removePlanItem(plan, index) {
+  return reseatPinned(plan, plan.filter((video, i) => i !== index));
+}
+
+function togglePin(plan, index) {
+  return plan.map((video, i) => {
+    if (i !== index) return video;
+    const { pinned, anchor, ...rest } = video;
+    return pinned ? rest : { ...rest, pinned: true };
+  });
+}
+
+// Puts pinned entries back at the index they had in `original`, filling the other slots in order.
+function reseatPinned(original, arranged) {
+  const slots = new Array(arranged.length);
+  const seated = new Set();
+  original.forEach((video, i) => {
+    if (video.pinned && i < slots.length && arranged.includes(video)) {
+      slots[i] = video;
+      seated.add(video);
     }
   });
+  const rest = arranged.filter(video => !seated.has(video));
+  for (let i = 0; i < slots.length; i++) {
+    if (!slots[i]) slots[i] = rest.shift();
+  }
+  return slots;
+}
+
+function getSessionTotals(plan) {
+  const totals = {};
+  plan.forEach(video => {
+    if (video.session) totals[video.session] = (totals[video.session] || 0) + (video.duration || 0);
+  });
+  return totals;
+}
+
+function renderPreview(plan) {
+    previewList.innerHTML = '';
+    const sessionTotals = getSessionTotals(plan);
+    plan.forEach((video, index) => {
+        if (video.session && (index === 0 || plan[index - 1].session !== video.session)) {
+            const header = document.createElement('div');
+            header.className = 'session-header';
+            header.textContent = `Session ${video.session} · ${formatTotalTime(sessionTotals[video.session])}`;
+            previewList.appendChild(header);
+        }
+        const item = document.createElement('div');
+        item.className = video.pinned ? 'preview-item pinned' : 'preview-item';
+        item.tabIndex = 0;
+        item.draggable = !video.pinned;
+        item.dataset.index = index;
+        item.title = 'Drag or use Alt+Up/Down to move, P to pin, Delete to remove';
+
+        const label = document.createElement('span');
+        label.className = 'preview-label';
+        if (KIND_LABELS[video.kind]) {
+            const kindLabel = document.createElement('span');
+            kindLabel.className = 'kind-label';
+            kindLabel.textContent = `[${KIND_LABELS[video.kind]}] `;
+            label.appendChild(kindLabel);
+        }
+        label.appendChild(document.createTextNode(`${formatDuration(video.duration)}${video.title}`));
+        if (video.channel) {
+            const channelLabel = document.createElement('span');
+            channelLabel.className = 'preview-channel';
+            channelLabel.textContent = ` · ${video.channel}`;
+            label.appendChild(channelLabel);
+        }
+
+        const pinButton = document.createElement('button');
+        pinButton.className = 'pin-item';
+        pinButton.textContent = video.pinned ? 'Unpin' : 'Pin';
+        pinButton.tabIndex = -1;
+        pinButton.addEventListener('click', () => editPlan(togglePin(currentPreview.plan, index), index));
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'remove-item';
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove from plan';
+        removeButton.tabIndex = -1;
+        removeButton.addEventListener('click', () => removeFromPlan(index));
+
+        item.append(label, pinButton, removeButton);
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', String(index));
+        });
+        item.addEventListener('dragover', (e) => e.preventDefault());
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+            editPlan(movePlanItem(currentPreview.plan, from, index), index);
+        });
+        item.addEventListener('keydown', (e) => handlePreviewKey(e, index));
+        previewList.appendChild(item);
+    });
+    confirmButton.disabled = plan.length === 0;
+    const items = previewList.querySelectorAll('.preview-item');
+    if (focusedPreviewIndex !== null && items.length > 0) {
+        items[Math.min(focusedPreviewIndex, items.length - 1)].focus();
+    }
+}
+
+function handlePreviewKey(e, index) {
+  const plan = currentPreview.plan;
+  if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+    const to = e.key === 'ArrowUp' ? index - 1 : index + 1;
+    editPlan(movePlanItem(plan, index, to), Math.max(0, Math.min(to, plan.length - 1)));
+  } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+    const sibling = previewList.querySelectorAll('.preview-item')[e.key === 'ArrowUp' ? index - 1 : index + 1];
+    if (sibling) sibling.focus();
+  } else if (e.key === 'p' || e.key === 'P') {
+    editPlan(togglePin(plan, index), index);
+  } else if (e.key === 'Delete' || e.key === 'Backspace') {
+    removeFromPlan(index);
+  } else {
+    return;
+  }
+  e.preventDefault();
+}
+
+// Drops an entry from the plan; it is then placed like any filtered-out video.
+function removeFromPlan(index) {
+  const { pinned, anchor, ...removed } = currentPreview.plan[index];
+  const excluded = [...(currentPreview.excluded || []), removed];
+  if (currentPreview.excludedPlacement !== 'sorted') {
+    excluded.sort((a, b) => a.position - b.position);
+  }
+  editPlan(removePlanItem(currentPreview.plan, index), index, excluded);
+}
+
+/**
+ * Shows the edited plan right away and sends it to the content script, which
+ * writes it back to the status plan with a fresh move count.
+ */
+function editPlan(plan, focusIndex = null, excluded = currentPreview.excluded || []) {
+  if (plan === currentPreview.plan && excluded === currentPreview.excluded) return;
+  focusedPreviewIndex = focusIndex;
+  currentPreview = { ...currentPreview, plan, excluded, total: plan.length };
+  renderPreview(plan);
+  sendToPage({ from: 'popup', action: 'updatePlan', plan, excluded }, () => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not save the edited plan.";
+    }
+  });
+}
+
+// Shows the undo button only when the content script has a snapshot of the current playlist.
+function refreshUndoButton() {
+  sendToPage({ from: 'popup', action: 'getSnapshotInfo' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.count) {
+      undoButton.style.display = 'none';
+      return;
+    }
+    undoButton.style.display = 'block';
+    undoButton.title = `Restore the order from ${new Date(response.timestamp).toLocaleString()}`;
+  });
+}
+
+function describeSummary(summary) {
+  const elapsed = formatTotalTime(Math.round(summary.elapsed / 1000));
+  return `Moved ${summary.moved}, skipped ${summary.skipped.length}, failed ${summary.failed.length}, retried ${summary.retried} in ${elapsed}.`;
+}
+
+// Shows what a finished run did, with the reason for each move that failed or was skipped.
+function renderSummary(summary) {
+  runSummary.style.display = summary ? 'block' : 'none';
+  failureList.innerHTML = '';
+  if (!summary) return;
+  summaryText.textContent = describeSummary(summary);
+  [...summary.failed, ...summary.skipped].forEach(({ video, reason }) => {
+    const item = document.createElement('li');
+    item.textContent = `${video.title}: ${reason}`;
+    failureList.appendChild(item);
+  });
+  retryFailedButton.style.display = summary.failed.length > 0 ? 'inline-block' : 'none';
 }
 
 function showView(viewName) {
@@ -36,66 +728,81 @@ function showView(viewName) {
 }
 
 function updateUI(status) {
+  resumeControls.style.display = status && status.state === 'interrupted' ? 'flex' : 'none';
+  renderSummary(status && status.state === 'complete' ? status.summary : null);
+  const paused = Boolean(status && status.paused);
+  pauseButton.style.display = status && status.state === 'reordering' ? 'block' : 'none';
+  pauseButton.textContent = paused ? 'Continue' : 'Pause';
+  pauseButton.dataset.paused = String(paused);
   if (!status || status.state === 'idle' || !status.state) {
     statusText.textContent = 'Ready to sort.';
     startButton.disabled = false;
+    undoButton.disabled = false;
     cancelButton.style.display = 'none';
     cancelButton.disabled = false;
-    orderSelect.disabled = false;
-    maxLengthInput.disabled = false;
+    setFormDisabled(false);
     progressBarContainer.style.display = 'none';
     progressBar.style.width = '0%';
     showView('settings');
   } else if (status.state === 'gathering') {
     statusText.textContent = status.message || 'Gathering videos...';
     startButton.disabled = true;
+    undoButton.disabled = true;
     cancelButton.style.display = 'block';
-    orderSelect.disabled = true;
-    maxLengthInput.disabled = true;
+    setFormDisabled(true);
     progressBarContainer.style.display = 'none';
     showView('settings');
   } else if (status.state === 'preview') {
-    statusText.textContent = `Found ${status.total} videos. Confirm new order.`;
-    previewList.innerHTML = '';
-    status.plan.forEach(video => {
-        const item = document.createElement('div');
-        const minutes = Math.floor(video.duration / 60);
-        const seconds = video.duration % 60;
-        item.textContent = `(${minutes}:${seconds.toString().padStart(2, '0')}) ${video.title}`;
-        item.style.whiteSpace = 'nowrap';
-        item.style.overflow = 'hidden';
-        item.style.textOverflow = 'ellipsis';
-        previewList.appendChild(item);
-    });
+    const moveSummary = status.moveCount === undefined ? '' : ` ${status.moveCount} ${status.moveCount === 1 ? 'move' : 'moves'} needed.`;
+    const excludedCount = status.excluded ? status.excluded.length : 0;
+    const excludedSummary = excludedCount > 0 ? ` ${excludedCount} excluded ${excludedCount === 1 ? 'video' : 'videos'} ${EXCLUDED_PLACEMENT_LABELS[status.excludedPlacement] || EXCLUDED_PLACEMENT_LABELS.below}.` : '';
+    const seedSummary = status.seed === null || status.seed === undefined ? '' : ` Shuffled with seed ${status.seed}.`;
+    const sessionCount = Object.keys(getSessionTotals(status.plan || [])).length;
+    const sessionSummary = sessionCount > 0 && status.sessionLength ? ` ${sessionCount} ${sessionCount === 1 ? 'session' : 'sessions'} of up to ${formatTotalTime(status.sessionLength)}.` : '';
+    statusText.textContent = `Found ${status.total} videos.${excludedSummary}${seedSummary}${sessionSummary}${moveSummary} Confirm new order.`;
+    filterSummary.textContent = describeFilterCounts(status.filterCounts);
+    importSummary.textContent = describeUnmatched(status.unmatched);
+    loadWarning.textContent = status.loadWarning || '';
+    currentPreview = status;
+    renderPreview(status.plan);
     showView('preview');
   } else if (status.state === 'reordering') {
     const percentage = status.total > 0 ? Math.round((status.processed / status.total) * 100) : 0;
-    statusText.textContent = `Reordering... (${status.processed}/${status.total})`;
+    statusText.textContent = `${status.paused ? 'Paused' : 'Reordering...'} (${status.processed}/${status.total})`;
     startButton.disabled = true;
+    undoButton.disabled = true;
     cancelButton.style.display = 'block';
     cancelButton.disabled = false;
-    orderSelect.disabled = true;
-    maxLengthInput.disabled = true;
+    setFormDisabled(true);
     progressBarContainer.style.display = 'block';
     progressBar.style.width = `${percentage}%`;
     showView('settings');
   } else if (status.state === 'complete') {
-    statusText.textContent = `Reordering complete!`;
+    statusText.textContent = status.message || `Reordering complete!`;
     startButton.disabled = false;
+    undoButton.disabled = false;
     cancelButton.style.display = 'none';
     cancelButton.disabled = false;
-    orderSelect.disabled = false;
-    maxLengthInput.disabled = false;
+    setFormDisabled(false);
     progressBarContainer.style.display = 'block';
     progressBar.style.width = '100%';
     showView('settings');
+  } else if (status.state === 'interrupted') {
+    statusText.textContent = status.message || 'The last reorder was interrupted.';
+    startButton.disabled = true;
+    undoButton.disabled = true;
+    cancelButton.style.display = 'none';
+    setFormDisabled(true);
+    progressBarContainer.style.display = 'block';
+    progressBar.style.width = `${status.total > 0 ? Math.round((status.processed / status.total) * 100) : 0}%`;
+    showView('settings');
   } else if (status.state === 'error') {
     statusText.textContent = `Error: ${status.message}`;
     startButton.disabled = false;
+    undoButton.disabled = false;
     cancelButton.style.display = 'none';
     cancelButton.disabled = false;
-    orderSelect.disabled = false;
-    maxLengthInput.disabled = false;
+    setFormDisabled(false);
     progressBarContainer.style.display = 'none';
     progressBar.style.width = '0%';
     showView('settings');
@@ -104,21 +811,22 @@ function updateUI(status) {
 
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
-  // Initial status check when popup opens
-  chrome.storage.local.get('reorder_status', (data) => {
-    // If the last known state was 'complete' or 'preview', reset to 'idle' when opening the popup.
-    if (data.reorder_status && data.reorder_status.state === 'complete') {
-      chrome.storage.local.set({ 'reorder_status': { state: 'idle' } }, () => updateUI({ state: 'idle' }));
-      return;
-    }
-    updateUI(data.reorder_status);
+  bindToPage(() => {
+    refreshUndoButton();
+    // Initial status check when popup opens
+    loadStatus();
   });
 });
 
-// Listen for status changes from the content script
+// Listen for status changes of the playlist the popup is bound to
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local' && changes.reorder_status) {
-    updateUI(changes.reorder_status.newValue);
+  const change = changes[getStatusKey()];
+  if (namespace === 'local' && change) {
+    updateUI(change.newValue);
+    const newState = change.newValue && change.newValue.state;
+    if (newState === 'complete' || newState === 'error') {
+      refreshUndoButton();
+    }
   }
 });
 
@@ -126,10 +834,9 @@ reorderForm.addEventListener('submit', (e) => {
   e.preventDefault();
   saveSettings();
 
-  const order = orderSelect.value;
-  const maxLength = parseInt(maxLengthInput.value, 10) * 60; // convert to seconds
+  const message = { from: 'popup', ...buildPlanRequest(getCurrentSettings()) };
 
-  chrome.runtime.sendMessage({ from: 'popup', action: 'generatePlan', order: order, maxLength: maxLength }, (response) => {
+  sendToPage(message, (response) => {
     if (chrome.runtime.lastError) {
       statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
       return;
@@ -143,22 +850,138 @@ reorderForm.addEventListener('submit', (e) => {
 });
 
 confirmButton.addEventListener('click', () => {
-    chrome.runtime.sendMessage({ from: 'popup', action: 'executeReorder' }, (response) => {
+    sendToPage({ from: 'popup', action: 'executeReorder', moveBackend: moveBackendSelect.value }, (response) => {
         if (response && response.status === 'executing') {
             // UI will update via storage listener
         }
     });
 });
 
+exportPlanButton.addEventListener('click', () => {
+  if (!currentPreview) return;
+  const format = exportFormatSelect.value;
+  downloadFile(`reorder-plan.${format}`, formatExport(currentPreview.plan, format), format);
+});
+
+exportPlaylistButton.addEventListener('click', () => {
+  const format = exportFormatSelect.value;
+  sendToPage({ from: 'popup', action: 'exportPlaylist' }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'ok') {
+      downloadFile(`playlist-${response.playlistId || 'export'}.${format}`, formatExport(response.videos, format), format);
+      statusText.textContent = `Exported ${response.videos.length} videos.${response.loadWarning ? ` ${response.loadWarning}` : ''}`;
+    } else if (response && response.status === 'error') {
+      statusText.textContent = `Error: ${response.message}`;
+    }
+  });
+});
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+  let entries;
+  try {
+    entries = parseImportFile(await readFile(file), file.name);
+  } catch (error) {
+    statusText.textContent = `Error: Could not import ${file.name}: ${error.message}`;
+    return;
+  } finally {
+    importFileInput.value = '';
+  }
+
+  sendToPage({ from: 'popup', action: 'importOrder', entries: entries, excludedPlacement: excludedPlacementSelect.value }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'error') {
+      statusText.textContent = `Error: ${response.message}`;
+    }
+  });
+});
+
 editButton.addEventListener('click', () => {
     // Send a cancel message to reset the state in the content script and then update UI
-    chrome.runtime.sendMessage({ from: 'popup', action: 'cancelReorder' }, () => {
+    sendToPage({ from: 'popup', action: 'cancelReorder' }, () => {
         updateUI({ state: 'idle' });
     });
 });
 
+presetSelect.addEventListener('change', () => {
+  presetNameInput.value = presetSelect.value;
+  renderPresets();
+});
+applyPresetButton.addEventListener('click', () => applyPreset(presetSelect.value));
+savePresetButton.addEventListener('click', savePreset);
+renamePresetButton.addEventListener('click', renamePreset);
+deletePresetButton.addEventListener('click', deletePreset);
+defaultPresetInput.addEventListener('change', () => setDefaultPreset(defaultPresetInput.checked));
+
+resumeButton.addEventListener('click', () => {
+  sendToPage({ from: 'popup', action: 'resumeReorder' }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'error') {
+      statusText.textContent = `Error: ${response.message}`;
+    }
+  });
+});
+
+retryFailedButton.addEventListener('click', () => {
+  sendToPage({ from: 'popup', action: 'retryFailed', moveBackend: moveBackendSelect.value }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'error') {
+      statusText.textContent = `Error: ${response.message}`;
+    }
+  });
+});
+
+discardButton.addEventListener('click', () => {
+  sendToPage({ from: 'popup', action: 'discardRun' }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'discarded') {
+      updateUI({ state: 'idle' });
+    }
+  });
+});
+
+undoButton.addEventListener('click', () => {
+  sendToPage({ from: 'popup', action: 'undoReorder', moveBackend: moveBackendSelect.value }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'error') {
+      statusText.textContent = `Error: ${response.message}`;
+    }
+  });
+});
+
+pauseButton.addEventListener('click', () => {
+  sendToPage({ from: 'popup', action: 'pauseReorder', paused: pauseButton.dataset.paused !== 'true' }, (response) => {
+    if (chrome.runtime.lastError) {
+      statusText.textContent = "Error: Could not connect to the YouTube page. Please refresh the page and try again.";
+      return;
+    }
+    if (response && response.status === 'error') {
+      statusText.textContent = `Error: ${response.message}`;
+    }
+  });
+});
+
 cancelButton.addEventListener('click', () => {
-  chrome.runtime.sendMessage({ from: 'popup', action: 'cancelReorder' }, (response) => {
+  sendToPage({ from: 'popup', action: 'cancelReorder' }, (response) => {
     if (chrome.runtime.lastError) {
       statusText.textContent = "Error: Could not send cancel command.";
       return;
@@ -171,8 +994,28 @@ cancelButton.addEventListener('click', () => {
   });
 });
 
-orderSelect.addEventListener('change', saveSettings);
+sortKeySelect.addEventListener('change', () => {
+  updateOrderLabels();
+  saveSettings();
+});
+orderSelect.addEventListener('change', () => {
+  updateShuffleOptions();
+  saveSettings();
+});
+shuffleSeedInput.addEventListener('change', saveSettings);
+shuffleBandsInput.addEventListener('change', saveSettings);
+interleaveChannelsInput.addEventListener('change', saveSettings);
+addTieBreakerButton.addEventListener('click', () => {
+  addTieBreakerRow();
+  saveSettings();
+});
 maxLengthInput.addEventListener('change', saveSettings);
+sessionLengthInput.addEventListener('change', saveSettings);
+excludedPlacementSelect.addEventListener('change', saveSettings);
+moveBackendSelect.addEventListener('change', saveSettings);
+[minLengthInput, includeChannelsInput, excludeChannelsInput, includeTitlesInput, excludeTitlesInput, ...kindPolicySelects].forEach(input => {
+  input.addEventListener('change', saveSettings);
+});
 
 // For testing purposes
 if (typeof module !== 'undefined' && module.exports) {
@@ -180,5 +1023,16 @@ if (typeof module !== 'undefined' && module.exports) {
     updateUI,
     loadSettings,
     saveSettings,
+    addTieBreakerRow,
+    getSortKeys,
+    refreshUndoButton,
+    movePlanItem,
+    removePlanItem,
+    togglePin,
+    formatExport,
+    parseCsv,
+    parseImportFile,
+    loadPresets,
+    bindToPage,
   };
 }
\ No newline at end of file
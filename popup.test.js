@@ -6,6 +6,8 @@ describe('popup.js', () => {
   let popup;
   let reorderForm, startButton, cancelButton, confirmButton, editButton, statusText, orderSelect, maxLengthInput, progressBar, settingsView, previewView, previewList;
 
+  const noFilters = { minLength: 0, includeChannels: [], excludeChannels: [], includeTitles: [], excludeTitles: [] };
+
   beforeEach(() => {
     // Reset modules to ensure popup.js runs in a fresh environment with the new DOM
     jest.resetModules();
@@ -16,24 +18,92 @@ describe('popup.js', () => {
     document.body.innerHTML = `
       <div id="settings-view">
         <form id="reorderForm">
+          <select id="presetSelect"><option value="">Current settings</option></select>
+          <button type="button" id="applyPreset">Apply</button>
+          <button type="button" id="deletePreset">Delete</button>
+          <input type="text" id="presetName" />
+          <button type="button" id="savePreset">Save</button>
+          <button type="button" id="renamePreset">Rename</button>
+          <input type="checkbox" id="defaultPreset" />
+          <select id="sortKey">
+            <option value="duration">Duration</option>
+            <option value="channel">Channel</option>
+            <option value="title">Title</option>
+            <option value="age">Upload date</option>
+            <option value="views">View count</option>
+            <option value="position">Date added</option>
+          </select>
           <select id="order">
             <option value="asc">Shortest to Longest</option>
             <option value="desc">Longest to Shortest</option>
+            <option value="shuffle">Shuffle</option>
           </select>
+          <div id="shuffle-options" style="display: none;">
+            <input id="shuffleSeed" />
+            <input type="checkbox" id="shuffleBands" />
+          </div>
+          <div id="tie-breaker-group">
+            <div id="tieBreakers"></div>
+            <button type="button" id="addTieBreaker">Add tie-breaker</button>
+          </div>
+          <input type="checkbox" id="interleaveChannels" />
           <input id="maxLength" />
+          <input id="sessionLength" value="0" />
+          <input id="minLength" value="0" />
+          <textarea id="includeChannels"></textarea>
+          <textarea id="excludeChannels"></textarea>
+          <textarea id="includeTitles"></textarea>
+          <textarea id="excludeTitles"></textarea>
+          <select id="livePolicy" class="kind-policy" data-kind="live">
+            <option value="sort">Sort</option>
+            <option value="top">Top</option>
+            <option value="bottom" selected>Bottom</option>
+            <option value="skip">Skip</option>
+          </select>
+          <select id="excludedPlacement">
+            <option value="below">Keep below</option>
+            <option value="above">Keep above</option>
+            <option value="sorted">Sorted below</option>
+            <option value="inPlace">In place</option>
+          </select>
+          <select id="moveBackend">
+            <option value="menu">Menu clicks</option>
+            <option value="request">Edit requests</option>
+          </select>
+          <select id="exportFormat">
+            <option value="json">JSON</option>
+            <option value="csv">CSV</option>
+          </select>
+          <button type="button" id="exportPlaylist">Export playlist</button>
+          <input type="file" id="importFile" />
           <button id="startReorder">Start</button>
         </form>
       </div>
       <div id="preview-view" style="display: none;">
         <div id="preview-list"></div>
+        <div id="filter-summary"></div>
+        <div id="import-summary"></div>
+        <div id="load-warning"></div>
+        <button type="button" id="exportPlan">Export plan</button>
         <button id="confirmButton">Confirm</button>
         <button id="editButton">Edit</button>
       </div>
       <div id="status-text"></div>
+      <button id="pauseReorder" style="display: none;"></button>
       <button id="cancelReorder" style="display: none;"></button>
+      <button id="undoReorder" style="display: none;"></button>
+      <div id="resume-controls" style="display: none;">
+        <button id="discardRun">Discard</button>
+        <button id="resumeReorder">Resume</button>
+      </div>
       <div id="progress-bar-container" style="display: none;">
         <div id="progress-bar"></div>
       </div>
+      <div id="run-summary" style="display: none;">
+        <div id="summary-text"></div>
+        <ul id="failure-list"></ul>
+        <button type="button" id="retryFailed">Retry failed moves</button>
+      </div>
     `;
 
     // Now that the DOM is set up, we can require the module.
@@ -65,6 +135,34 @@ describe('popup.js', () => {
       expect(previewView.style.display).toBe('none');
     });
 
+    test('should show the channel of each preview row', () => {
+      popup.updateUI({ state: 'preview', total: 2, plan: [{ title: 'A', duration: 30, channel: 'Alpha' }, { title: 'B', duration: 60, channel: null }] });
+      const channels = Array.from(previewList.querySelectorAll('.preview-channel')).map(el => el.textContent);
+      expect(channels).toEqual([' · Alpha']);
+    });
+
+    test('should show session boundaries with the total time of each session', () => {
+      popup.updateUI({
+        state: 'preview',
+        total: 3,
+        sessionLength: 2700,
+        plan: [
+          { title: 'A', duration: 1500, session: 1 },
+          { title: 'B', duration: 1200, session: 1 },
+          { title: 'C', duration: 3900, session: 2 },
+        ],
+      });
+      const headers = Array.from(previewList.querySelectorAll('.session-header')).map(el => el.textContent);
+      expect(headers).toEqual(['Session 1 · 45:00', 'Session 2 · 1:05:00']);
+      expect(previewList.querySelectorAll('.preview-item').length).toBe(3);
+      expect(statusText.textContent).toContain('2 sessions of up to 45:00.');
+    });
+
+    test('should show the shuffle seed in the preview', () => {
+      popup.updateUI({ state: 'preview', total: 1, plan: [{ title: 'Video', duration: 30 }], moveCount: 1, seed: 1234 });
+      expect(statusText.textContent).toContain('Shuffled with seed 1234.');
+    });
+
     test('should set UI to gathering state', () => {
       popup.updateUI({ state: 'gathering', message: 'Finding videos...' });
       expect(statusText.textContent).toBe('Finding videos...');
@@ -93,6 +191,43 @@ describe('popup.js', () => {
       expect(previewList.children[1].textContent).toContain('(5:00) Long Video');
     });
 
+    test('should warn in the preview when the playlist was not loaded in full', () => {
+      popup.updateUI({ state: 'preview', total: 1, plan: [], loadWarning: 'Loaded 3 of the 5 videos the playlist lists.' });
+      expect(document.getElementById('load-warning').textContent).toBe('Loaded 3 of the 5 videos the playlist lists.');
+
+      popup.updateUI({ state: 'preview', total: 1, plan: [] });
+      expect(document.getElementById('load-warning').textContent).toBe('');
+    });
+
+    test('should show how many moves the preview needs', () => {
+      popup.updateUI({ state: 'preview', total: 3, moveCount: 1, plan: [] });
+      expect(statusText.textContent).toBe('Found 3 videos. 1 move needed. Confirm new order.');
+    });
+
+    test('should mention where excluded videos will be placed', () => {
+      popup.updateUI({ state: 'preview', total: 1, moveCount: 0, plan: [], excluded: [{ title: 'Long' }, { title: 'Longer' }], excludedPlacement: 'above' });
+      expect(statusText.textContent).toBe('Found 1 videos. 2 excluded videos kept above. 0 moves needed. Confirm new order.');
+    });
+
+    test('should label live, premiere, short and unavailable entries in the preview', () => {
+      popup.updateUI({
+        state: 'preview',
+        total: 3,
+        plan: [
+          { title: 'Quick tip', duration: 45, kind: 'short' },
+          { title: 'Stream', duration: null, kind: 'live' },
+          { title: '[Private video]', duration: null, kind: 'unavailable' },
+        ],
+      });
+      const labels = Array.from(previewList.querySelectorAll('.preview-label')).map(label => label.textContent);
+      expect(labels).toEqual(['[Short] (0:45) Quick tip', '[Live] Stream', '[Unavailable] [Private video]']);
+    });
+
+    test('should show how many videos each filter removed', () => {
+      popup.updateUI({ state: 'preview', total: 1, plan: [], filterCounts: { maxLength: 0, minLength: 2, excludeChannels: 1 } });
+      expect(document.getElementById('filter-summary').textContent).toBe('Removed by filters: 2 under the min length, 1 from skipped channels.');
+    });
+
     test('should set UI to reordering state and update progress bar', () => {
       popup.updateUI({ state: 'reordering', processed: 1, total: 4 });
       expect(statusText.textContent).toBe('Reordering... (1/4)');
@@ -109,6 +244,45 @@ describe('popup.js', () => {
       expect(progressBar.style.width).toBe('100%');
     });
 
+    test('should summarize a finished run and list the moves that failed or were skipped', () => {
+      popup.updateUI({
+        state: 'complete',
+        message: '1 move failed.',
+        summary: {
+          moved: 7,
+          skipped: [{ video: { videoId: 'g', title: 'Gone' }, direction: 'top', reason: 'No longer in the playlist.' }],
+          failed: [{ video: { videoId: 'f', title: 'Stuck' }, direction: 'bottom', reason: 'Could not move "Stuck" (f).' }],
+          retried: 2,
+          elapsed: 65400,
+        },
+      });
+
+      expect(statusText.textContent).toBe('1 move failed.');
+      expect(document.getElementById('run-summary').style.display).toBe('block');
+      expect(document.getElementById('summary-text').textContent).toBe('Moved 7, skipped 1, failed 1, retried 2 in 1:05.');
+      expect(Array.from(document.querySelectorAll('#failure-list li')).map(item => item.textContent))
+        .toEqual(['Stuck: Could not move "Stuck" (f).', 'Gone: No longer in the playlist.']);
+      expect(document.getElementById('retryFailed').style.display).toBe('inline-block');
+
+      popup.updateUI({ state: 'complete', summary: { moved: 3, skipped: [], failed: [], retried: 0, elapsed: 4000 } });
+      expect(statusText.textContent).toBe('Reordering complete!');
+      expect(document.getElementById('retryFailed').style.display).toBe('none');
+
+      popup.updateUI({ state: 'idle' });
+      expect(document.getElementById('run-summary').style.display).toBe('none');
+    });
+
+    test('should offer to resume an interrupted run', () => {
+      popup.updateUI({ state: 'interrupted', processed: 40, total: 160, message: 'The last reorder of this playlist stopped after 40 of 160 moves.' });
+      expect(statusText.textContent).toBe('The last reorder of this playlist stopped after 40 of 160 moves.');
+      expect(document.getElementById('resume-controls').style.display).toBe('flex');
+      expect(startButton.disabled).toBe(true);
+      expect(progressBar.style.width).toBe('25%');
+
+      popup.updateUI({ state: 'idle' });
+      expect(document.getElementById('resume-controls').style.display).toBe('none');
+    });
+
     test('should set UI to error state', () => {
       popup.updateUI({ state: 'error', message: 'Something went wrong' });
       expect(statusText.textContent).toBe('Error: Something went wrong');
@@ -117,6 +291,74 @@ describe('popup.js', () => {
     });
   });
 
+  describe('Preview editing', () => {
+    const plan = [
+      { videoId: 'a', title: 'A', duration: 10, position: 2 },
+      { videoId: 'b', title: 'B', duration: 20, position: 0 },
+      { videoId: 'c', title: 'C', duration: 30, position: 1 },
+      { videoId: 'd', title: 'D', duration: 40, position: 3 },
+    ];
+    const ids = list => list.map(v => v.videoId);
+
+    test('movePlanItem should keep pinned entries in their slots', () => {
+      const pinnedPlan = popup.togglePin(plan, 1);
+      expect(ids(popup.movePlanItem(pinnedPlan, 0, 3))).toEqual(['c', 'b', 'd', 'a']);
+      expect(popup.movePlanItem(pinnedPlan, 1, 3)).toBe(pinnedPlan);
+    });
+
+    test('movePlanItem should clear the kind anchor of the moved entry', () => {
+      const anchoredPlan = [{ videoId: 'live', anchor: 'top' }, ...plan];
+      expect(popup.movePlanItem(anchoredPlan, 0, 2)[2]).toEqual({ videoId: 'live' });
+    });
+
+    test('removePlanItem should keep pinned entries in their slots', () => {
+      const pinnedPlan = popup.togglePin(plan, 2);
+      expect(ids(popup.removePlanItem(pinnedPlan, 0))).toEqual(['b', 'd', 'c']);
+    });
+
+    test('should move entries with the keyboard and send the edited plan', () => {
+      popup.updateUI({ state: 'preview', total: 4, plan, excluded: [] });
+
+      previewList.children[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', altKey: true }));
+
+      const labels = Array.from(previewList.querySelectorAll('.preview-label')).map(label => label.textContent);
+      expect(labels).toEqual(['(0:20) B', '(0:10) A', '(0:30) C', '(0:40) D']);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { from: 'popup', action: 'updatePlan', plan: [plan[1], plan[0], plan[2], plan[3]], excluded: [] },
+        expect.any(Function)
+      );
+    });
+
+    test('should pin with P and remove with Delete, moving removed entries to the excluded list', () => {
+      popup.updateUI({ state: 'preview', total: 4, plan, excluded: [{ videoId: 'x', position: 4 }], excludedPlacement: 'below' });
+
+      previewList.children[3].dispatchEvent(new KeyboardEvent('keydown', { key: 'p' }));
+      expect(previewList.children[3].classList.contains('pinned')).toBe(true);
+
+      previewList.children[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete' }));
+
+      const lastCall = chrome.runtime.sendMessage.mock.calls[chrome.runtime.sendMessage.mock.calls.length - 1][0];
+      expect(ids(lastCall.plan)).toEqual(['b', 'c', 'd']);
+      expect(lastCall.plan[2].pinned).toBe(true);
+      expect(lastCall.excluded).toEqual([{ videoId: 'a', title: 'A', duration: 10, position: 2 }, { videoId: 'x', position: 4 }]);
+    });
+
+    test('should move an entry by drag and drop', () => {
+      popup.updateUI({ state: 'preview', total: 4, plan, excluded: [] });
+      const dataTransfer = { data: {}, setData(type, value) { this.data[type] = value; }, getData(type) { return this.data[type]; } };
+      const dragStart = new Event('dragstart');
+      dragStart.dataTransfer = dataTransfer;
+      const drop = new Event('drop');
+      drop.dataTransfer = dataTransfer;
+
+      previewList.children[3].dispatchEvent(dragStart);
+      previewList.children[0].dispatchEvent(drop);
+
+      const lastCall = chrome.runtime.sendMessage.mock.calls[chrome.runtime.sendMessage.mock.calls.length - 1][0];
+      expect(ids(lastCall.plan)).toEqual(['d', 'a', 'b', 'c']);
+    });
+  });
+
   describe('Event Listeners', () => {
     test('should save settings and send message on form submission', () => {
       // Arrange: Set values in the form
@@ -128,12 +370,12 @@ describe('popup.js', () => {
 
       // Assert: Check that settings were saved
       expect(chrome.storage.local.set).toHaveBeenCalledWith({
-        reorder_settings: { order: 'desc', maxLength: '10' }
+        reorder_settings: { sortKeys: [{ key: 'duration', order: 'desc' }], maxLength: '10', sessionLength: '0', excludedPlacement: 'below', filters: noFilters, kindPolicies: { live: 'bottom' }, shuffleSeed: '', shuffleBands: false, interleaveChannels: false, moveBackend: 'menu' }
       });
 
       // Assert: Check that the correct message was sent
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
-        { from: 'popup', action: 'generatePlan', order: 'desc', maxLength: 600 },
+        { from: 'popup', action: 'generatePlan', sortKeys: [{ key: 'duration', order: 'desc' }], maxLength: 600, excludedPlacement: 'below', filters: noFilters, kindPolicies: { live: 'bottom' }, interleaveChannels: false, sessionLength: 0 },
         expect.any(Function)
       );
     });
@@ -154,7 +396,7 @@ describe('popup.js', () => {
     test('should send "executeReorder" message on confirm button click', () => {
       confirmButton.click();
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
-        { from: 'popup', action: 'executeReorder' },
+        { from: 'popup', action: 'executeReorder', moveBackend: 'menu' },
         expect.any(Function)
       );
     });
@@ -185,6 +427,86 @@ describe('popup.js', () => {
       expect(settingsView.style.display).toBe('block');
     });
 
+    test('should execute with the chosen move method and remember it', () => {
+      const moveBackend = document.getElementById('moveBackend');
+      moveBackend.value = 'request';
+      moveBackend.dispatchEvent(new Event('change'));
+
+      confirmButton.click();
+
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({ reorder_settings: expect.objectContaining({ moveBackend: 'request' }) });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { from: 'popup', action: 'executeReorder', moveBackend: 'request' },
+        expect.any(Function)
+      );
+    });
+
+    test('should send "undoReorder" message on undo button click', () => {
+      document.getElementById('undoReorder').click();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { from: 'popup', action: 'undoReorder', moveBackend: 'menu' },
+        expect.any(Function)
+      );
+    });
+
+    test('should show the undo button only when a snapshot exists', () => {
+      const undoButton = document.getElementById('undoReorder');
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ count: 2, timestamp: 0 });
+      });
+      popup.refreshUndoButton();
+      expect(undoButton.style.display).toBe('block');
+
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ count: 0 });
+      });
+      popup.refreshUndoButton();
+      expect(undoButton.style.display).toBe('none');
+    });
+
+    test('should send "resumeReorder" and "discardRun" messages from the resume controls', () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback(message.action === 'discardRun' ? { status: 'discarded' } : { status: 'executing' });
+      });
+      popup.updateUI({ state: 'interrupted', processed: 1, total: 2 });
+
+      document.getElementById('resumeReorder').click();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'popup', action: 'resumeReorder' }, expect.any(Function));
+
+      document.getElementById('discardRun').click();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'popup', action: 'discardRun' }, expect.any(Function));
+      expect(statusText.textContent).toBe('Ready to sort.');
+    });
+
+    test('should send "retryFailed" with the chosen move backend', () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ status: 'error', message: 'There are no failed moves to retry.' }));
+
+      document.getElementById('retryFailed').click();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'popup', action: 'retryFailed', moveBackend: 'menu' }, expect.any(Function));
+      expect(statusText.textContent).toBe('Error: There are no failed moves to retry.');
+    });
+
+    test('should pause and continue a running reorder', () => {
+      const pauseButton = document.getElementById('pauseReorder');
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ status: 'paused' }));
+
+      popup.updateUI({ state: 'reordering', processed: 1, total: 4 });
+      expect(pauseButton.style.display).toBe('block');
+      expect(pauseButton.textContent).toBe('Pause');
+      pauseButton.click();
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ from: 'popup', action: 'pauseReorder', paused: true }, expect.any(Function));
+
+      popup.updateUI({ state: 'reordering', processed: 1, total: 4, paused: true });
+      expect(statusText.textContent).toBe('Paused (1/4)');
+      expect(pauseButton.textContent).toBe('Continue');
+      pauseButton.click();
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ from: 'popup', action: 'pauseReorder', paused: false }, expect.any(Function));
+
+      popup.updateUI({ state: 'complete' });
+      expect(pauseButton.style.display).toBe('none');
+    });
+
     test('should send "cancelReorder" message on cancel button click', () => {
       cancelButton.click();
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
@@ -212,6 +534,178 @@ describe('popup.js', () => {
       expect(maxLengthInput.value).toBe('5');
     });
 
+    test('loadSettings should restore a saved sort key chain', () => {
+      // Arrange
+      const settings = { sortKeys: [{ key: 'channel', order: 'desc' }, { key: 'views', order: 'desc' }], maxLength: '0' };
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({ reorder_settings: settings });
+      });
+
+      // Act
+      popup.loadSettings();
+
+      // Assert
+      expect(popup.getSortKeys()).toEqual(settings.sortKeys);
+      expect(document.getElementById('minLength').value).toBe('0');
+      expect(orderSelect.options[1].textContent).toBe('Channel Z to A');
+    });
+
+    test('should send the selected sort key and relabel the order options', () => {
+      // Arrange
+      const sortKeySelect = document.getElementById('sortKey');
+      sortKeySelect.value = 'channel';
+      sortKeySelect.dispatchEvent(new Event('change'));
+      orderSelect.value = 'asc';
+      maxLengthInput.value = '0';
+
+      // Act
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      // Assert
+      expect(orderSelect.options[0].textContent).toBe('Channel A to Z');
+      expect(orderSelect.options[1].textContent).toBe('Channel Z to A');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { from: 'popup', action: 'generatePlan', sortKeys: [{ key: 'channel', order: 'asc' }], maxLength: 0, excludedPlacement: 'below', filters: noFilters, kindPolicies: { live: 'bottom' }, interleaveChannels: false, sessionLength: 0 },
+        expect.any(Function)
+      );
+    });
+
+    test('should send and save the whole sort key chain including tie-breakers', () => {
+      // Arrange
+      const sortKeySelect = document.getElementById('sortKey');
+      sortKeySelect.value = 'channel';
+      document.getElementById('addTieBreaker').click();
+      const row = document.querySelector('.tie-breaker');
+      row.querySelector('.tie-breaker-key').value = 'duration';
+      row.querySelector('.tie-breaker-key').dispatchEvent(new Event('change'));
+      popup.addTieBreakerRow('position', 'asc');
+      maxLengthInput.value = '0';
+
+      // Act
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      // Assert
+      const sortKeys = [
+        { key: 'channel', order: 'asc' },
+        { key: 'duration', order: 'asc' },
+        { key: 'position', order: 'asc' },
+      ];
+      expect(row.querySelector('.tie-breaker-order').options[0].textContent).toBe('Shortest to Longest');
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({ reorder_settings: { sortKeys, maxLength: '0', sessionLength: '0', excludedPlacement: 'below', filters: noFilters, kindPolicies: { live: 'bottom' }, shuffleSeed: '', shuffleBands: false, interleaveChannels: false, moveBackend: 'menu' } });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { from: 'popup', action: 'generatePlan', sortKeys, maxLength: 0, excludedPlacement: 'below', filters: noFilters, kindPolicies: { live: 'bottom' }, interleaveChannels: false, sessionLength: 0 },
+        expect.any(Function)
+      );
+    });
+
+    test('should send the filter panel values with lengths in seconds', () => {
+      // Arrange
+      maxLengthInput.value = '0';
+      document.getElementById('minLength').value = '20';
+      document.getElementById('includeChannels').value = 'Channel One\n  Channel Two \n';
+      document.getElementById('excludeTitles').value = '/^#shorts/i';
+
+      // Act
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      // Assert
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filters: { minLength: 1200, includeChannels: ['Channel One', 'Channel Two'], excludeChannels: [], includeTitles: [], excludeTitles: ['/^#shorts/i'] },
+        }),
+        expect.any(Function)
+      );
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        reorder_settings: expect.objectContaining({
+          filters: expect.objectContaining({ minLength: 20, includeChannels: ['Channel One', 'Channel Two'] }),
+        }),
+      });
+    });
+
+    test('should send the policy chosen for each special kind of entry', () => {
+      document.getElementById('livePolicy').value = 'skip';
+      maxLengthInput.value = '0';
+
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ kindPolicies: { live: 'skip' } }),
+        expect.any(Function)
+      );
+    });
+
+    test('should send a shuffle with its seed and bands, without tie-breakers', () => {
+      popup.addTieBreakerRow('title', 'asc');
+      orderSelect.value = 'shuffle';
+      orderSelect.dispatchEvent(new Event('change'));
+      document.getElementById('shuffleSeed').value = '42';
+      document.getElementById('shuffleBands').checked = true;
+      maxLengthInput.value = '0';
+
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      expect(document.getElementById('shuffle-options').style.display).toBe('block');
+      expect(document.getElementById('tie-breaker-group').style.display).toBe('none');
+      expect(document.querySelector('.tie-breaker-order option[value="shuffle"]')).toBeNull();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ sortKeys: [{ key: 'duration', order: 'shuffle' }], shuffleSeed: 42, shuffleBands: true }),
+        expect.any(Function)
+      );
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        reorder_settings: expect.objectContaining({ shuffleSeed: '42', shuffleBands: true }),
+      });
+    });
+
+    test('should ask for a new shuffle when the seed is left empty', () => {
+      orderSelect.value = 'shuffle';
+      maxLengthInput.value = '0';
+
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ shuffleSeed: null, shuffleBands: false }),
+        expect.any(Function)
+      );
+    });
+
+    test('should send the session length in seconds', () => {
+      document.getElementById('sessionLength').value = '45';
+      maxLengthInput.value = '0';
+
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ sessionLength: 2700 }),
+        expect.any(Function)
+      );
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        reorder_settings: expect.objectContaining({ sessionLength: '45' }),
+      });
+    });
+
+    test('should send and save the round-robin channel option', () => {
+      const interleave = document.getElementById('interleaveChannels');
+      interleave.checked = true;
+      interleave.dispatchEvent(new Event('change'));
+      maxLengthInput.value = '0';
+
+      reorderForm.dispatchEvent(new Event('submit'));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ sortKeys: [{ key: 'duration', order: 'asc' }], interleaveChannels: true }),
+        expect.any(Function)
+      );
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        reorder_settings: expect.objectContaining({ interleaveChannels: true }),
+      });
+    });
+
+    test('should remove a tie-breaker row', () => {
+      const row = popup.addTieBreakerRow('title', 'desc');
+      row.querySelector('.remove-tie-breaker').click();
+      expect(popup.getSortKeys()).toEqual([{ key: 'duration', order: 'asc' }]);
+    });
+
     test('saveSettings should be called on input change', () => {
       // Act: Trigger change events
       orderSelect.dispatchEvent(new Event('change'));
@@ -223,15 +717,21 @@ describe('popup.js', () => {
   });
 
   describe('Initialization and Listeners', () => {
-    test('DOMContentLoaded should load settings and initial status', () => {
-      // Arrange: Mock storage to return a specific state, e.g., 'reordering'
+    test('DOMContentLoaded should load settings and the status of the playlist in the tab', () => {
+      // Arrange: the tab shows playlist PL1, whose status is 'reordering'
       const status = { state: 'reordering', processed: 5, total: 10 };
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.action === 'getPlaylistId') callback({ playlistId: 'PL1', tabId: 7 });
+      });
       chrome.storage.local.get.mockImplementation((keys, callback) => {
         if (keys === 'reorder_settings') {
           callback({ reorder_settings: { order: 'desc', maxLength: '15' } });
         }
-        if (keys === 'reorder_status') {
-          callback({ reorder_status: status });
+        if (keys === 'reorder_presets') {
+          callback({});
+        }
+        if (keys === 'reorder_status:PL1') {
+          callback({ 'reorder_status:PL1': status });
         }
       });
       // Arrange: Mock 'set' to execute its callback, which is where updateUI is called.
@@ -251,16 +751,34 @@ describe('popup.js', () => {
       // Assert: Check that the UI reflects the initial status from storage
       expect(statusText.textContent).toBe('Reordering... (5/10)');
       expect(startButton.disabled).toBe(true);
+
+      // Assert: later messages carry the tab and playlist the popup was opened on
+      cancelButton.click();
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+        { from: 'popup', action: 'cancelReorder', tabId: 7, playlistId: 'PL1' },
+        expect.any(Function)
+      );
     });
 
     test('DOMContentLoaded should reset to idle if last state was "complete"', () => {
-      // Arrange: Mock storage to return a 'complete' status
+      // Arrange: not a playlist page, so the shared status key is used
       const status = { state: 'complete' };
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.action === 'getPlaylistId') callback({ playlistId: null, tabId: 3 });
+      });
       chrome.storage.local.get.mockImplementation((keys, callback) => {
+        if (keys === 'reorder_presets') {
+          callback({});
+        }
         if (keys === 'reorder_status') {
           callback({ reorder_status: status });
         }
       });
+      chrome.storage.local.set.mockImplementation((data, callback) => {
+        if (callback) {
+          callback();
+        }
+      });
 
       // Act: Manually dispatch the DOMContentLoaded event
       document.dispatchEvent(new Event('DOMContentLoaded'));
@@ -269,6 +787,35 @@ describe('popup.js', () => {
       expect(statusText.textContent).toBe('Ready to sort.');
     });
 
+    test('DOMContentLoaded should keep a finished run with failed moves on show', () => {
+      const status = { state: 'complete', message: '1 move failed.', summary: { moved: 0, skipped: [], failed: [{ video: { title: 'A' }, reason: 'Stuck.' }], retried: 0, elapsed: 1000 } };
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.action === 'getPlaylistId') callback({ playlistId: null, tabId: 3 });
+      });
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        if (keys === 'reorder_status') callback({ reorder_status: status });
+        else callback({});
+      });
+
+      document.dispatchEvent(new Event('DOMContentLoaded'));
+
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith({ reorder_status: { state: 'idle' } }, expect.any(Function));
+      expect(statusText.textContent).toBe('1 move failed.');
+    });
+
+    test('chrome.storage.onChanged listener should ignore the status of other playlists', () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ playlistId: 'PL1', tabId: 7 }));
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      popup.bindToPage();
+      popup.updateUI({ state: 'idle' });
+
+      chrome.storage.onChanged.callListeners({ 'reorder_status:PL2': { newValue: { state: 'gathering', message: 'Other tab' } } }, 'local');
+      expect(statusText.textContent).toBe('Ready to sort.');
+
+      chrome.storage.onChanged.callListeners({ 'reorder_status:PL1': { newValue: { state: 'gathering', message: 'This tab' } } }, 'local');
+      expect(statusText.textContent).toBe('This tab');
+    });
+
     test('chrome.storage.onChanged listener should update UI', () => {
       // Arrange: Define a new status that the listener will receive
       const newStatus = { state: 'complete' };
@@ -283,6 +830,190 @@ describe('popup.js', () => {
     });
   });
 
+  describe('Presets', () => {
+    let store;
+
+    beforeEach(() => {
+      store = {};
+      chrome.storage.local.get.mockImplementation((key, callback) => callback({ [key]: store[key] }));
+      chrome.storage.local.set.mockImplementation((items) => Object.assign(store, items));
+    });
+
+    const presetOptions = () => Array.from(document.getElementById('presetSelect').options).map(option => option.value);
+
+    test('should save the current settings as a named preset and apply it later', () => {
+      orderSelect.value = 'desc';
+      maxLengthInput.value = '20';
+      document.getElementById('presetName').value = ' Commute ';
+      document.getElementById('savePreset').click();
+
+      expect(store.reorder_presets.presets.Commute).toMatchObject({ sortKeys: [{ key: 'duration', order: 'desc' }], maxLength: '20' });
+      expect(presetOptions()).toEqual(['', 'Commute']);
+      expect(statusText.textContent).toBe('Saved preset "Commute".');
+
+      orderSelect.value = 'asc';
+      maxLengthInput.value = '0';
+      document.getElementById('applyPreset').click();
+
+      expect(orderSelect.value).toBe('desc');
+      expect(maxLengthInput.value).toBe('20');
+      expect(store.reorder_settings).toMatchObject({ maxLength: '20' });
+    });
+
+    test('should rename and delete presets along with playlist defaults', () => {
+      store.reorder_presets = { presets: { Weekend: { maxLength: '0' }, Shorts: { maxLength: '1' } }, playlistDefaults: { PL1: 'Weekend' } };
+      popup.loadPresets();
+      const select = document.getElementById('presetSelect');
+
+      select.value = 'Weekend';
+      select.dispatchEvent(new Event('change'));
+      document.getElementById('presetName').value = 'Shorts';
+      document.getElementById('renamePreset').click();
+      expect(statusText.textContent).toBe('A preset named "Shorts" already exists.');
+
+      document.getElementById('presetName').value = 'Weekend deep dives';
+      document.getElementById('renamePreset').click();
+      expect(presetOptions()).toEqual(['', 'Shorts', 'Weekend deep dives']);
+      expect(store.reorder_presets.playlistDefaults).toEqual({ PL1: 'Weekend deep dives' });
+
+      document.getElementById('deletePreset').click();
+      expect(presetOptions()).toEqual(['', 'Shorts']);
+      expect(store.reorder_presets.playlistDefaults).toEqual({});
+    });
+
+    test('should apply and set the default preset of the open playlist', () => {
+      store.reorder_presets = { presets: { 'Clear the shorts': { maxLength: '1' }, Commute: { maxLength: '15' } }, playlistDefaults: { PL1: 'Clear the shorts' } };
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ playlistId: 'PL1' }));
+
+      popup.bindToPage();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'popup', action: 'getPlaylistId' }, expect.any(Function));
+      expect(maxLengthInput.value).toBe('1');
+      expect(document.getElementById('presetSelect').value).toBe('Clear the shorts');
+      expect(document.getElementById('defaultPreset').checked).toBe(true);
+
+      const select = document.getElementById('presetSelect');
+      select.value = 'Commute';
+      select.dispatchEvent(new Event('change'));
+      const defaultInput = document.getElementById('defaultPreset');
+      expect(defaultInput.checked).toBe(false);
+      defaultInput.checked = true;
+      defaultInput.dispatchEvent(new Event('change'));
+      expect(store.reorder_presets.playlistDefaults).toEqual({ PL1: 'Commute' });
+    });
+  });
+
+  describe('Import and export', () => {
+    const videos = [
+      { videoId: 'abc', title: 'Plain', channel: 'Chan', duration: 61 },
+      { videoId: null, title: 'Says "hi", twice', channel: null, duration: null },
+    ];
+
+    test('formatExport should write the export fields as JSON or escaped CSV', () => {
+      expect(JSON.parse(popup.formatExport(videos, 'json'))).toEqual([
+        { position: 1, videoId: 'abc', title: 'Plain', channel: 'Chan', duration: 61 },
+        { position: 2, videoId: null, title: 'Says "hi", twice', channel: null, duration: null },
+      ]);
+      expect(popup.formatExport(videos, 'csv')).toBe(
+        'position,videoId,title,channel,duration\r\n1,abc,Plain,Chan,61\r\n2,,"Says ""hi"", twice",,\r\n'
+      );
+    });
+
+    test('parseImportFile should read back an exported CSV and apply rows by position', () => {
+      const csv = 'position,videoId,title\r\n2,abc,Plain\r\n1,,"Says ""hi"", twice"\r\n\r\n';
+      expect(popup.parseImportFile(csv, 'order.CSV')).toEqual([
+        { videoId: null, title: 'Says "hi", twice' },
+        { videoId: 'abc', title: 'Plain' },
+      ]);
+    });
+
+    test('parseImportFile should keep file order when positions are missing and reject bad files', () => {
+      const json = JSON.stringify({ videos: [{ title: 'B' }, { videoId: 'a1' }, { channel: 'no title or id' }] });
+      expect(popup.parseImportFile(json, 'order.json')).toEqual([
+        { videoId: null, title: 'B' },
+        { videoId: 'a1', title: '' },
+      ]);
+      expect(() => popup.parseImportFile('{"order": 1}', 'order.json')).toThrow('The JSON file must contain a list of videos.');
+      expect(() => popup.parseImportFile('position,title\n', 'order.csv')).toThrow('The file does not list any videos.');
+    });
+
+    test('should download the previewed plan in the chosen format', () => {
+      URL.createObjectURL = jest.fn(() => 'blob:plan');
+      URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        expect(this.download).toBe('reorder-plan.csv');
+        expect(this.href).toBe('blob:plan');
+      });
+      popup.updateUI({ state: 'preview', total: 2, plan: videos });
+      document.getElementById('exportFormat').value = 'csv';
+
+      document.getElementById('exportPlan').click();
+
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/csv');
+      click.mockRestore();
+    });
+
+    test('should export the gathered playlist returned by the content script', () => {
+      URL.createObjectURL = jest.fn(() => 'blob:playlist');
+      URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        expect(this.download).toBe('playlist-PL123.json');
+      });
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ status: 'ok', playlistId: 'PL123', videos, loadWarning: null });
+      });
+
+      document.getElementById('exportPlaylist').click();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ from: 'popup', action: 'exportPlaylist' }, expect.any(Function));
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(statusText.textContent).toBe('Exported 2 videos.');
+
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ status: 'ok', playlistId: 'PL123', videos, loadWarning: 'Loading stopped after 2 videos, before the end of the playlist. Only those are included.' });
+      });
+      document.getElementById('exportPlaylist').click();
+      expect(statusText.textContent).toBe('Exported 2 videos. Loading stopped after 2 videos, before the end of the playlist. Only those are included.');
+      click.mockRestore();
+    });
+
+    test('should send an imported file to the content script for a preview', async () => {
+      const input = document.getElementById('importFile');
+      const file = new File(['videoId,title\nxyz,First\n,Second\n'], 'order.csv', { type: 'text/csv' });
+      Object.defineProperty(input, 'files', { value: [file] });
+
+      input.dispatchEvent(new Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { from: 'popup', action: 'importOrder', entries: [{ videoId: 'xyz', title: 'First' }, { videoId: null, title: 'Second' }], excludedPlacement: 'below' },
+        expect.any(Function)
+      );
+    });
+
+    test('should report a file that cannot be read', async () => {
+      const input = document.getElementById('importFile');
+      Object.defineProperty(input, 'files', { value: [new File(['not json'], 'order.json')] });
+
+      input.dispatchEvent(new Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(statusText.textContent).toMatch(/^Error: Could not import order\.json: /);
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'importOrder' }), expect.any(Function));
+    });
+
+    test('should list imported entries that matched no video', () => {
+      popup.updateUI({
+        state: 'preview',
+        total: 1,
+        plan: [{ title: 'Found', duration: 30 }],
+        unmatched: [{ videoId: 'gone1', title: '' }, { videoId: null, title: 'Missing title' }],
+      });
+      expect(document.getElementById('import-summary').textContent).toBe('2 imported entries did not match any video: gone1, Missing title.');
+    });
+  });
+
   describe('API Error Handling', () => {
     test('should show an error if form submission fails to connect', () => {
       // Arrange: Mock sendMessage to simulate a connection error
@@ -0,0 +1,77 @@
+/**
+ * Turns settings as the popup saves them (`reorder_settings` and presets) into the
+ * generatePlan request content.js answers. The popup loads this file with a script tag,
+ * the background worker with importScripts and the manifest before content.js, so plans
+ * started from the popup, the page, a keyboard shortcut or a menu are built the same way.
+ * It also holds the few status helpers all three need.
+ */
+
+/**
+ * Picks the settings a plan started outside the popup uses: the playlist's default preset
+ * when it has one, else the settings the popup saved last. `data` holds what storage has
+ * under `reorder_settings` and `reorder_presets`.
+ */
+function pickSavedSettings(data, playlistId) {
+  const { presets = {}, playlistDefaults = {} } = (data && data.reorder_presets) || {};
+  const preset = playlistId ? presets[playlistDefaults[playlistId]] : null;
+  return preset || (data && data.reorder_settings) || {};
+}
+
+// Settings saved before key chains existed only hold a single key and direction.
+function getSettingsSortKeys(settings) {
+  return settings.sortKeys || [{ key: settings.sortKey || 'duration', order: settings.order || 'asc' }];
+}
+
+function parseShuffleSeed(value) {
+  const seed = parseInt(value, 10);
+  return Number.isInteger(seed) && seed >= 0 ? seed : null;
+}
+
+/**
+ * Builds the generatePlan request for these settings. Settings hold lengths in minutes,
+ * as they are typed into the popup; content.js expects seconds.
+ */
+function buildPlanRequest(settings) {
+  const sortKeys = getSettingsSortKeys(settings);
+  const toSeconds = minutes => (parseInt(minutes, 10) || 0) * 60;
+  const request = {
+    action: 'generatePlan',
+    sortKeys,
+    maxLength: toSeconds(settings.maxLength),
+    excludedPlacement: settings.excludedPlacement || 'below',
+    filters: { ...settings.filters, minLength: toSeconds(settings.filters && settings.filters.minLength) },
+    kindPolicies: settings.kindPolicies || {},
+    interleaveChannels: Boolean(settings.interleaveChannels),
+    sessionLength: toSeconds(settings.sessionLength),
+  };
+  if (sortKeys[0].order === 'shuffle') {
+    request.sortKeys = [sortKeys[0]];
+    request.shuffleSeed = parseShuffleSeed(settings.shuffleSeed);
+    request.shuffleBands = Boolean(settings.shuffleBands);
+  }
+  return request;
+}
+
+function hasFailedMoves(status) {
+  return Boolean(status && status.summary && status.summary.failed.length > 0);
+}
+
+// Formats a running time such as a session total as "1:05:00" or "44:30".
+function formatTotalTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// For testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    pickSavedSettings,
+    getSettingsSortKeys,
+    parseShuffleSeed,
+    buildPlanRequest,
+    hasFailedMoves,
+    formatTotalTime,
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+
+const { pickSavedSettings, getSettingsSortKeys, buildPlanRequest, hasFailedMoves, formatTotalTime } = require('./settings');
+
+describe('settings.js', () => {
+  test('pickSavedSettings should prefer the default preset of the playlist', () => {
+    const data = {
+      reorder_settings: { moveBackend: 'menu' },
+      reorder_presets: { presets: { Fast: { moveBackend: 'request' } }, playlistDefaults: { WL: 'Fast' } },
+    };
+    expect(pickSavedSettings(data, 'WL')).toEqual({ moveBackend: 'request' });
+    expect(pickSavedSettings(data, 'PL1')).toEqual({ moveBackend: 'menu' });
+    expect(pickSavedSettings({}, 'WL')).toEqual({});
+  });
+
+  test('getSettingsSortKeys should read settings saved before key chains existed', () => {
+    expect(getSettingsSortKeys({ sortKey: 'views', order: 'desc' })).toEqual([{ key: 'views', order: 'desc' }]);
+    expect(getSettingsSortKeys({})).toEqual([{ key: 'duration', order: 'asc' }]);
+  });
+
+  test('buildPlanRequest should convert minutes to seconds and fill in missing settings', () => {
+    expect(buildPlanRequest({ maxLength: '10', sessionLength: '', filters: { minLength: 2, excludeTitles: ['vlog'] } })).toEqual({
+      action: 'generatePlan',
+      sortKeys: [{ key: 'duration', order: 'asc' }],
+      maxLength: 600,
+      excludedPlacement: 'below',
+      filters: { minLength: 120, excludeTitles: ['vlog'] },
+      kindPolicies: {},
+      interleaveChannels: false,
+      sessionLength: 0,
+    });
+  });
+
+  test('buildPlanRequest should send only the primary key with the seed when shuffling', () => {
+    const request = buildPlanRequest({ sortKeys: [{ key: 'duration', order: 'shuffle' }, { key: 'title', order: 'asc' }], shuffleSeed: 'abc', shuffleBands: true });
+    expect(request).toMatchObject({ sortKeys: [{ key: 'duration', order: 'shuffle' }], shuffleSeed: null, shuffleBands: true });
+  });
+
+  test('status helpers should report failed moves and format running times', () => {
+    expect(hasFailedMoves({ state: 'complete', summary: { failed: [{ reason: 'Gone' }] } })).toBe(true);
+    expect(hasFailedMoves({ state: 'idle' })).toBe(false);
+    expect(hasFailedMoves(null)).toBe(false);
+    expect(formatTotalTime(65)).toBe('1:05');
+    expect(formatTotalTime(3900)).toBe('1:05:00');
+  });
+});